@@ -0,0 +1,464 @@
+/**
+ * This is a mini expression language that is used instead of eval when the setting `evaluator` is 'strict', so that the
+ *  library can be used under a strict Content-Security-Policy (i.e. without 'unsafe-eval'). It supports:
+ *  - literals: numbers, strings, true, false, null, undefined and arrays (e.g. [1, 'two'])
+ *  - the identifiers of the scope (e.g. el, targets), `this`, and the whitelisted functions
+ *  - property access (e.g. this.dataset.name, targets[0], targets.length)
+ *  - comparisons (==, !=, ===, !==, <, <=, >, >=), boolean logic (!, &&, ||, ??) and the conditional operator (a ? b : c)
+ *  - arithmetic (+, -, *, /, %) and typeof
+ *  - calls to the whitelisted functions (e.g. parseInt(x)) and to the whitelisted methods (e.g. this.classList.contains('x'))
+ *  - assignments to the variables of the chain of actions (e.g. vars.count = vars.count + 1), but not to anything else
+ *    (the objects stored in the variables can be modified only if they are plain objects or arrays, e.g. vars.user.name,
+ *    so that an element or the window stored in a variable cannot be written through)
+ */
+
+// The error raised when an expression cannot be parsed or evaluated
+class ExpressionError extends Error {
+    constructor(message, position) {
+        super(`${message} at position ${position}`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+// The functions that can be called from the expressions, by name (more functions can be added to this object)
+const EXPRESSION_FUNCTIONS = {
+    Number: Number,
+    String: String,
+    Boolean: Boolean,
+    parseInt: parseInt,
+    parseFloat: parseFloat,
+    isNaN: isNaN,
+    isFinite: isFinite,
+};
+
+// The methods that can be called on the objects in the expressions (more methods can be added to this array)
+const EXPRESSION_METHODS = [
+    // Elements
+    'contains', 'matches', 'closest', 'getAttribute', 'hasAttribute', 'querySelector', 'querySelectorAll', 'checkValidity',
+    'setAttribute', 'removeAttribute', 'toggleAttribute', 'focus', 'blur', 'click', 'scrollIntoView', 'select', 'reset',
+    'submit', 'requestSubmit', 'show', 'showModal', 'close',
+    // Class lists
+    'add', 'remove', 'toggle', 'replace',
+    // Strings and arrays
+    'includes', 'indexOf', 'startsWith', 'endsWith', 'trim', 'toLowerCase', 'toUpperCase', 'toString', 'toFixed', 'slice',
+    'substring', 'split', 'join', 'padStart', 'padEnd', 'at',
+    // Math
+    'abs', 'ceil', 'floor', 'round', 'max', 'min', 'pow', 'sqrt', 'trunc', 'sign',
+];
+
+// The properties that cannot be accessed, because they would allow to escape from the sandbox: the prototypes and
+//  constructors (e.g. to get Function), and the ways to reach the window or its location from the objects in the scope
+//  (e.g. document.defaultView, this.ownerDocument, event.view or the content of an iframe), whose methods could then be
+//  called (e.g. location.replace)
+const FORBIDDEN_PROPERTIES = [
+    '__proto__', 'prototype', 'constructor', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__',
+    'defaultView', 'ownerDocument', 'view', 'location', 'contentWindow', 'contentDocument',
+];
+
+// The precedence of the binary operators (the higher, the tighter they bind)
+const BINARY_PRECEDENCE = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '==': 4, '!=': 4, '===': 4, '!==': 4,
+    '<': 5, '>': 5, '<=': 5, '>=': 5,
+    '+': 6, '-': 6,
+    '*': 7, '/': 7, '%': 7,
+};
+
+// The punctuators of the language, sorted so that the longest ones are matched first
+const EXPRESSION_PUNCTUATORS = [ '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??', '(', ')', '[', ']', '.', ',', '?', ':', '!', '+', '-', '*', '/', '%', '<', '>', '=' ];
+
+// The identifier of the only object whose properties can be assigned in the expressions (the variables of the chain)
+const ASSIGNABLE_IDENTIFIER = 'vars';
+
+// The parsed expressions, to avoid parsing the same expression every time that it is evaluated
+const PARSED_EXPRESSIONS = new Map();
+const PARSED_EXPRESSIONS_LIMIT = 500;
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} expression The expression.
+ * @returns {Object[]} The tokens ({ type, value, position }); the last one is of type 'eof'.
+ */
+function tokenizeExpression(expression) {
+    const tokens = [];
+    let i = 0;
+    while (i < expression.length) {
+        const c = expression[i];
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+
+        const rest = expression.slice(i);
+        let match = rest.match(/^(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/);
+        if (match) {
+            tokens.push({ type: 'number', value: Number(match[0]), position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        match = rest.match(/^[A-Za-z_$][\w$]*/);
+        if (match) {
+            tokens.push({ type: 'identifier', value: match[0], position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (c === '"' || c === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < expression.length && expression[j] !== c) {
+                if (expression[j] === '\\' && j + 1 < expression.length) {
+                    j++;
+                    value += { n: '\n', t: '\t', r: '\r' }[expression[j]] || expression[j];
+                } else {
+                    value += expression[j];
+                }
+                j++;
+            }
+            if (j >= expression.length) {
+                throw new ExpressionError('Unterminated string', i);
+            }
+            tokens.push({ type: 'string', value: value, position: i });
+            i = j + 1;
+            continue;
+        }
+
+        const punctuator = EXPRESSION_PUNCTUATORS.find(p => rest.startsWith(p));
+        if (punctuator) {
+            tokens.push({ type: 'punctuator', value: punctuator, position: i });
+            i += punctuator.length;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected character "${c}"`, i);
+    }
+    tokens.push({ type: 'eof', value: null, position: expression.length });
+    return tokens;
+}
+
+/**
+ * Parses an expression into a tree of nodes.
+ * @param {string} expression The expression.
+ * @returns {Object} The root node of the tree.
+ * @throws {ExpressionError} If the expression is not valid.
+ */
+function parseExpression(expression) {
+    const tokens = tokenizeExpression(expression);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isPunctuator = (value) => peek().type === 'punctuator' && peek().value === value;
+    const unexpected = (token) => new ExpressionError(token.type === 'eof' ? 'Unexpected end of expression' : `Unexpected token "${token.value}"`, token.position);
+    const expect = (value) => {
+        if (!isPunctuator(value)) {
+            throw unexpected(peek());
+        }
+        return next();
+    };
+
+    function parseAssignment() {
+        const target = parseConditional();
+        if (isPunctuator('=')) {
+            const token = next();
+            if (!isAssignableNode(target)) {
+                throw new ExpressionError(`Only the properties of "${ASSIGNABLE_IDENTIFIER}" can be assigned`, token.position);
+            }
+            return { type: 'assignment', target: target, value: parseAssignment(), position: token.position };
+        }
+        return target;
+    }
+
+    function parseConditional() {
+        const test = parseBinary(0);
+        if (isPunctuator('?')) {
+            const position = next().position;
+            const consequent = parseConditional();
+            expect(':');
+            const alternate = parseConditional();
+            return { type: 'conditional', test: test, consequent: consequent, alternate: alternate, position: position };
+        }
+        return test;
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        while (true) {
+            const token = peek();
+            const precedence = token.type === 'punctuator' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence <= minPrecedence) {
+                break;
+            }
+            next();
+            const right = parseBinary(precedence);
+            left = { type: 'binary', operator: token.value, left: left, right: right, position: token.position };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if ((token.type === 'punctuator' && ['!', '-', '+'].includes(token.value)) || (token.type === 'identifier' && token.value === 'typeof')) {
+            next();
+            return { type: 'unary', operator: token.value, argument: parseUnary(), position: token.position };
+        }
+        return parsePostfix();
+    }
+
+    function parsePostfix() {
+        let node = parsePrimary();
+        while (true) {
+            const token = peek();
+            if (isPunctuator('.')) {
+                next();
+                const property = next();
+                if (property.type !== 'identifier') {
+                    throw unexpected(property);
+                }
+                node = { type: 'member', object: node, property: { type: 'literal', value: property.value }, position: property.position };
+            } else if (isPunctuator('[')) {
+                next();
+                const property = parseConditional();
+                expect(']');
+                node = { type: 'member', object: node, property: property, position: token.position };
+            } else if (isPunctuator('(')) {
+                next();
+                node = { type: 'call', callee: node, arguments: parseList(')'), position: token.position };
+            } else {
+                break;
+            }
+        }
+        return node;
+    }
+
+    function parseList(closing) {
+        const items = [];
+        while (!isPunctuator(closing)) {
+            items.push(parseConditional());
+            if (!isPunctuator(closing)) {
+                expect(',');
+            }
+        }
+        next();
+        return items;
+    }
+
+    function parsePrimary() {
+        const token = next();
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return { type: 'literal', value: token.value, position: token.position };
+            case 'identifier': {
+                const literals = { true: true, false: false, null: null, undefined: undefined };
+                if (token.value in literals) {
+                    return { type: 'literal', value: literals[token.value], position: token.position };
+                }
+                if (token.value === 'this') {
+                    return { type: 'this', position: token.position };
+                }
+                return { type: 'identifier', name: token.value, position: token.position };
+            }
+            case 'punctuator':
+                if (token.value === '(') {
+                    const node = parseConditional();
+                    expect(')');
+                    return node;
+                }
+                if (token.value === '[') {
+                    return { type: 'array', elements: parseList(']'), position: token.position };
+                }
+        }
+        throw unexpected(token);
+    }
+
+    const root = parseAssignment();
+    if (peek().type !== 'eof') {
+        throw unexpected(peek());
+    }
+    return root;
+}
+
+/**
+ * Checks whether a node of the tree of an expression can be assigned, i.e. it is a property of the variables of the
+ *  chain of actions (e.g. vars.count or vars.user.name).
+ * @param {Object} node The node.
+ * @returns {boolean} True if the node can be assigned.
+ */
+function isAssignableNode(node) {
+    if (node.type !== 'member') {
+        return false;
+    }
+    return (node.object.type === 'identifier' && node.object.name === ASSIGNABLE_IDENTIFIER) || isAssignableNode(node.object);
+}
+
+/**
+ * Checks whether an object can be modified by an assignment, i.e. it is plain data (an object created as {} or by
+ *  JSON.parse, or an array), and not an element, the window or the instance of a class.
+ * @param {any} object The object.
+ * @returns {boolean} True if the object can be modified.
+ */
+function isAssignableObject(object) {
+    if (Array.isArray(object)) {
+        return true;
+    }
+    if (typeof object !== 'object' || object === null) {
+        return false;
+    }
+    // The prototype of a plain object is Object.prototype (maybe of another realm, e.g. an iframe), or null
+    const prototype = Object.getPrototypeOf(object);
+    return prototype === null || Object.getPrototypeOf(prototype) === null;
+}
+
+/**
+ * Evaluates a node of the tree of an expression.
+ * @param {Object} node The node.
+ * @param {Object} context The context of the evaluation ({ thisArg, scope }).
+ * @returns {any} The value of the node.
+ */
+function evaluateExpressionNode(node, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'this':
+            return context.thisArg;
+        case 'array':
+            return node.elements.map(element => evaluateExpressionNode(element, context));
+        case 'identifier':
+            if (Object.prototype.hasOwnProperty.call(context.scope, node.name)) {
+                return context.scope[node.name];
+            }
+            if (Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, node.name)) {
+                return EXPRESSION_FUNCTIONS[node.name];
+            }
+            throw new ExpressionError(`Unknown identifier "${node.name}"`, node.position);
+        case 'member': {
+            const object = evaluateExpressionNode(node.object, context);
+            const property = String(evaluateExpressionNode(node.property, context));
+            const value = getExpressionProperty(object, property, node.position);
+            if (typeof value === 'function') {
+                throw new ExpressionError(`"${property}" is a method, and it can only be called`, node.position);
+            }
+            return value;
+        }
+        case 'call': {
+            const args = () => node.arguments.map(argument => evaluateExpressionNode(argument, context));
+            if (node.callee.type === 'member') {
+                const object = evaluateExpressionNode(node.callee.object, context);
+                const method = String(evaluateExpressionNode(node.callee.property, context));
+                if (!EXPRESSION_METHODS.includes(method)) {
+                    throw new ExpressionError(`The method "${method}" is not allowed`, node.callee.position);
+                }
+                const fn = getExpressionProperty(object, method, node.callee.position);
+                if (typeof fn !== 'function') {
+                    throw new ExpressionError(`"${method}" is not a function`, node.callee.position);
+                }
+                return fn.apply(object, args());
+            }
+            if (node.callee.type === 'identifier') {
+                const fn = evaluateExpressionNode(node.callee, context);
+                if (typeof fn !== 'function') {
+                    throw new ExpressionError(`"${node.callee.name}" is not a function`, node.callee.position);
+                }
+                return fn.apply(context.thisArg, args());
+            }
+            throw new ExpressionError('Only the whitelisted functions and methods can be called', node.position);
+        }
+        case 'unary': {
+            const argument = evaluateExpressionNode(node.argument, context);
+            switch (node.operator) {
+                case '!': return !argument;
+                case '-': return -argument;
+                case '+': return +argument;
+                case 'typeof': return typeof argument;
+            }
+            break;
+        }
+        case 'assignment': {
+            const object = evaluateExpressionNode(node.target.object, context);
+            const property = String(evaluateExpressionNode(node.target.property, context));
+            if (object === null || object === undefined) {
+                throw new ExpressionError(`Cannot set "${property}" of ${object}`, node.target.position);
+            }
+            if (!isAssignableObject(object)) {
+                throw new ExpressionError(`Cannot set "${property}": only the plain objects and arrays of the variables can be modified`, node.target.position);
+            }
+            if (FORBIDDEN_PROPERTIES.includes(property)) {
+                throw new ExpressionError(`The property "${property}" is not allowed`, node.target.position);
+            }
+            const value = evaluateExpressionNode(node.value, context);
+            object[property] = value;
+            return value;
+        }
+        case 'conditional':
+            return evaluateExpressionNode(node.test, context) ? evaluateExpressionNode(node.consequent, context) : evaluateExpressionNode(node.alternate, context);
+        case 'binary': {
+            const left = evaluateExpressionNode(node.left, context);
+            // The logical operators are short-circuited
+            switch (node.operator) {
+                case '&&': return left && evaluateExpressionNode(node.right, context);
+                case '||': return left || evaluateExpressionNode(node.right, context);
+                case '??': return left ?? evaluateExpressionNode(node.right, context);
+            }
+            const right = evaluateExpressionNode(node.right, context);
+            switch (node.operator) {
+                case '==': return left == right;
+                case '!=': return left != right;
+                case '===': return left === right;
+                case '!==': return left !== right;
+                case '<': return left < right;
+                case '>': return left > right;
+                case '<=': return left <= right;
+                case '>=': return left >= right;
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+            }
+            break;
+        }
+    }
+    throw new ExpressionError(`Unsupported expression "${node.type}"`, node.position);
+}
+
+/**
+ * Gets the value of a property of an object, checking that the access is allowed.
+ * @param {any} object The object.
+ * @param {string} property The name of the property.
+ * @param {number} position The position of the property in the expression (for the error messages).
+ * @returns {any} The value of the property.
+ */
+function getExpressionProperty(object, property, position) {
+    if (object === null || object === undefined) {
+        throw new ExpressionError(`Cannot read "${property}" of ${object}`, position);
+    }
+    if (FORBIDDEN_PROPERTIES.includes(property)) {
+        throw new ExpressionError(`The property "${property}" is not allowed`, position);
+    }
+    return object[property];
+}
+
+/**
+ * Evaluates an expression of the mini expression language (i.e. without using eval).
+ * @param {string} expression The expression.
+ * @param {any} thisArg The value of `this` in the expression.
+ * @param {Object} scope The identifiers that are available in the expression (e.g. { el, targets }).
+ * @returns {any} The value of the expression.
+ * @throws {ExpressionError} If the expression is not valid, or it cannot be evaluated.
+ */
+function evaluateSafeExpression(expression, thisArg = null, scope = {}) {
+    let root = PARSED_EXPRESSIONS.get(expression);
+    if (root === undefined) {
+        root = parseExpression(expression);
+        if (PARSED_EXPRESSIONS.size >= PARSED_EXPRESSIONS_LIMIT) {
+            PARSED_EXPRESSIONS.clear();
+        }
+        PARSED_EXPRESSIONS.set(expression, root);
+    }
+    return evaluateExpressionNode(root, { thisArg: thisArg, scope: Object.assign({ Math: Math, document: document }, scope) });
+}
@@ -11,41 +11,264 @@ const DEFAULT_OPTIONS_ACTION = {
     confirm: null, // A message to show in a confirmation dialog before continuing with the action; if the user cancels, the class does not proceed
     confirmAcceptText: 'OK', // The text for the accept button in the confirmation dialog
     confirmCancelText: 'Cancel', // The text for the cancel button in the confirmation dialog
-    execute: null, // A JavaScript expression to execute if the condition is met and the user confirms
+    prompt: null, // A message to show in a dialog that asks the user for a value before continuing with the action; if the user cancels, the action does not proceed (as with confirm)
+    promptType: 'text', // The type of the value: 'text', 'number' or 'select' (one of promptOptions)
+    promptValue: null, // The initial value of the field of the prompt dialog
+    promptOptions: null, // The options of a 'select' prompt, separated by semicolons; each one is a value or a value=label pair (e.g. "es=Spanish; en=English")
+    promptPattern: null, // A regular expression that the value must match (the whole value; e.g. '[0-9]{5}')
+    promptVar: 'input', // The name of the variable of the chain (see vars) in which the value is stored
+    promptAcceptText: 'OK', // The text for the accept button in the prompt dialog
+    promptCancelText: 'Cancel', // The text for the cancel button in the prompt dialog
+    execute: null, // A JavaScript expression to execute if the condition is met and the user confirms; if it returns a promise, the action waits for it
+    executeAs: null, // The name of the variable of the chain (see vars) in which the result of execute is stored (once resolved, if it is a promise)
+
+    next: null, // The step of the chain to continue with after this action (e.g. '5' or 'save'; 'end' finishes the chain), instead of the next one in order
+    else: null, // The step of the chain to continue with if the condition of this action is not met (or its pollUntil times out), instead of stopping the chain
+    onCancel: null, // The step of the chain to continue with if the user cancels the confirmation (or the prompt) of this action, instead of stopping the chain
+    onError: null, // What happens if the action fails (e.g. execute throws, or its promise rejects): if not set, the chain stops and runs its -catch action; 'ignore' skips the rest of the action and continues the chain; any other value is the step of the chain to continue with
+    trigger: null, // A selector of other elements whose chain of actions is run (as a sub-chain) before the action verbs; if any of them is cancelled, the chain of this element is also cancelled
+    triggerPrefix: null, // The prefix of the chain of actions of the triggered elements (if not set, the prefix of the current chain is used; e.g. 'ca')
 
     target: null, // The global selector of the target elements (if not set, the element itself is used)
     targetChildren: null, // A selector for the children of the element
 
-    classAdd: null, // The classes to add to the target elements
-    classRemove: null, // The classes to remove from the target elements
-    classToggle: null, // The classes to toggle on the target elements
-    classSet: null, // The classes to set on the target elements (removes all existing classes)
-
-    scrollTo: null, // If set, scrolls the target elements to 'top', 'bottom', 'left' or 'right'
-
-    contentMethod: 'innerHTML', // The method to set the content of the target elements (innerHTML or textContent)
-    contentSet: null, // If set, sets the content of the target elements to this value (innerHTML)
-    contentAppend: null, // If set, appends this value to the content of the target elements (innerHTML)
-    contentPrepend: null, // If set, prepends this value to the content of the target elements (innerHTML)
-    contentClear: null, // If set to true, clears the content of the target elements before applying any other content changes
+    // (*) the options of the action verbs (e.g. classAdd, contentSet or scrollTo) are added by registerAction
 
     delay: 0, // The delay in milliseconds before executing this action
+    waitFor: null, // What to wait for after the action verbs are applied, until it finishes on all the targets: 'transitionend' (the CSS transitions, e.g. started by classAdd) and/or 'animationend' (the CSS animations), separated by spaces
+    waitForTimeout: 2000, // The maximum time in milliseconds to wait for (see waitFor); then the chain continues anyway (0 means no limit)
+
+    repeat: 1, // The number of times that the action (i.e. its trigger and its verbs) is performed, waiting repeatInterval between them
+    repeatInterval: 1000, // The time in milliseconds between the repetitions of the action (also used by pollUntil)
+    pollUntil: null, // A JavaScript expression; if set, the action is repeated (instead of using repeat) until the expression evaluates to true
+    pollTimeout: 30000, // The maximum time in milliseconds to repeat the action with pollUntil; if the expression is not true by then, the chain stops (0 means no limit)
 
     acknowledge: null, // A message to show in an alert dialog after the actions are performed
     acknowledgeButton: 'OK', // The text for the button in the acknowledge dialog
 
+    toast: null, // A message to show in a toast (a notification that does not block the page) after the actions are performed
+    toastVariant: 'info', // The variant of the toast: 'success', 'info', 'warning' or 'danger'
+    toastDuration: 5000, // The time in milliseconds after which the toast is hidden (0 means that it is shown until the user closes it)
+    toastPosition: 'top-end', // Where the toasts are stacked: 'top-start', 'top-center', 'top-end', 'bottom-start', 'bottom-center' or 'bottom-end'
+    toastAction: null, // The text of an action button for the toast (e.g. 'Undo')
+    toastActionExecute: null, // A JavaScript expression to execute if the user clicks the action button of the toast
+    toastWait: false, // If true, the chain of actions waits until the toast is hidden (by default, it continues while the toast is shown)
+
     splash: null, // This will show a splash message while the action is being performed, with the HTML content of this value. It will be hidden when the action is completed.
+    splashCancel: null, // The text of a cancel button for the splash dialog; if set, the user can stop the chain of actions while the splash is shown
+}
+
+// The action verbs (e.g. class, content or scroll), sorted by the order in which they are applied (see registerAction)
+const ACTION_VERBS = [];
+
+// The selectors of the elements that have event actions, indexed by prefix (see getEventActionsSelector); they are
+//  built again when an action verb is registered, because it adds options
+const EVENT_ACTIONS_SELECTORS = new Map();
+
+// The maximum depth of nested chains of actions (i.e. chains triggered from other chains, using the trigger option)
+const MAX_TRIGGER_DEPTH = 16;
+
+// The maximum number of steps that a chain of actions can run (to stop the loops created with next, else or onCancel)
+const MAX_CHAIN_STEPS = 100;
+
+// These are the default options for one trigger (i.e. an event type and the prefix of the attributes that it attends)
+const DEFAULT_OPTIONS_TRIGGER = {
+    preventDefault: true, // If true, the default action of the event is prevented (e.g. following a link, or checking a checkbox)
+    stopPropagation: true, // If true, the event does not propagate to the ancestors of the element
+    bind: null, // A function, as bind(el, prefix), called for each element that is bound to the trigger (e.g. to start observing it), apart from listening to the event
+    unbind: null, // A function, as unbind(el, prefix), called for each element that is released from the trigger (e.g. to stop observing it)
+}
+
+// These are the default options for the handler of the events of one element and its chain of actions (e.g.
+//  data-ca-debounce or data-sa-throttle)
+const DEFAULT_OPTIONS_HANDLER = {
+    steps: null, // The steps of the chain of actions, in order, separated by spaces (e.g. '1 5 save'); if not set, the numbered steps are run in ascending order
+    debounce: 0, // If greater than 0, the chain of actions is run when no events have happened for this time (in milliseconds), with the last event
+    throttle: 0, // If greater than 0, the chain of actions is run at most once in this time (in milliseconds); it has no effect if debounce is set
+    throttleLeading: true, // If true, the chain of actions is run with the event that starts the throttle period
+    throttleTrailing: true, // If true, the chain of actions is run again at the end of the throttle period (with the last event), if more events happened during it
+    once: false, // If true, the element stops attending the event once its chain of actions has been completed
+    concurrency: 'parallel', // What happens if the event happens while the chain of actions is running: 'parallel' (another chain is run at the same time), 'drop' (the event is ignored), 'queue' (the chain is run again when the current one ends) or 'restart' (the current chain is stopped and a new one is run)
+    busy: true, // If true, the element is marked as busy while its chain of actions is running (aria-busy, busyClass and, for the buttons, the disabled attribute)
+    busyClass: 'event-actions-busy', // The class that is added to the element while its chain of actions is running
+    busyDisabled: false, // If true, the buttons get the disabled attribute while their chain of actions is running (except if the concurrency is 'queue' or 'restart', because they need to get the events); then they cannot run several chains at the same time
+}
+
+/**
+ * Gets the name of the attribute from which an option is obtained (e.g. data-ca-1-condition), to be used in the messages.
+ * @param {string|null} prefix The prefix of the attributes (e.g. 'ca-1'); if null, the name of the option is returned.
+ * @param {string} option The name of the option (e.g. 'condition').
+ * @returns {string} The name of the attribute.
+ */
+function getAttributeName(prefix, option) {
+    if (prefix === null || prefix === undefined) {
+        return option;
+    }
+    return `data-${camelToSnakeCase(prefix)}-${camelToSnakeCase(option)}`;
+}
+
+/**
+ * Evaluates an expression in the context of the element. The expression is evaluated using eval, or using the built-in
+ *  expression language if the setting `evaluator` is 'strict' (in that case, eval is never called).
+ * @param {HTMLElement} el The element (i.e. the value of `this` in the expression).
+ * @param {string} expression The expression.
+ * @param {HTMLElement[]} targetElements The target elements of the action (available as `targets` in the expression).
+ * @param {Object} context The context of the chain of actions, whose `event`, `vars`, `step`, `iteration` and `error` are
+ *  available in the expression.
+ * @returns {any} The value of the expression.
+ */
+function evaluateExpressionValue(el, expression, targetElements, context = {}) {
+    if (EventActions.settings.evaluator === 'strict') {
+        return evaluateSafeExpression(expression, el, { el: el, targets: targetElements, targetElements: targetElements, event: context.event, vars: context.vars || {}, step: context.step, iteration: context.iteration || 0, error: context.error });
+    }
+    const targets = targetElements;
+    const event = context.event;
+    const vars = context.vars || {};
+    const step = context.step;
+    const iteration = context.iteration || 0;
+    const error = context.error;
+    return function () {
+        return eval(expression);
+    }.bind(el)();
+}
+
+/**
+ * Evaluates an expression of an option (i.e. condition, conditionAction or execute) in the context of the element (see
+ *  evaluateExpressionValue). If the result is a function, it is called with the target elements.
+ * @param {HTMLElement} el The element (i.e. the value of `this` in the expression).
+ * @param {string|function} expression The expression (or a function).
+ * @param {HTMLElement[]} targetElements The target elements of the action (available as `targets` in the expression).
+ * @param {Object} context The context of the chain of actions, whose `event` and `vars` are available in the expression.
+ * @returns {any} The result of the expression.
+ */
+function evaluateExpression(el, expression, targetElements, context = {}) {
+    if (typeof expression === 'function') {
+        return expression.bind(el)(targetElements);
+    }
+
+    let result = evaluateExpressionValue(el, expression, targetElements, context);
+    if (typeof result === 'function') {
+        // If the expression is a function, we call it
+        result = result.bind(el)(targetElements);
+    }
+    return result;
+}
+
+/**
+ * Renders the placeholders of a template (e.g. "Delete item '{{ this.dataset.name }}'?"), evaluating their expressions
+ *  as in evaluateExpressionValue. The values of the placeholders {{ ... }} are HTML-escaped (unless `escape` is false),
+ *  while the values of the placeholders {{{ ... }}} are inserted as they are. A placeholder preceded by a backslash
+ *  (e.g. "\{{ name }}") is not evaluated: it is kept as it is, without the backslash.
+ * @param {HTMLElement} el The element (i.e. the value of `this` in the expressions).
+ * @param {string} template The template.
+ * @param {HTMLElement[]} targetElements The target elements of the action (available as `targets` in the expressions).
+ * @param {Object} context The context of the chain of actions, whose `event` and `vars` are available in the expressions.
+ * @param {string} attributeName The name of the attribute of the template (used in the messages).
+ * @param {boolean} escape Whether to HTML-escape the values of the placeholders {{ ... }}.
+ * @returns {string} The rendered template.
+ */
+function renderTemplate(el, template, targetElements, context = {}, attributeName = '', escape = true) {
+    if (typeof template !== 'string' || !template.includes('{{')) {
+        return template;
+    }
+    return template.replace(/\\(\{\{\{?)|\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g, (match, literal, raw, escaped) => {
+        if (literal !== undefined) {
+            return literal;
+        }
+        const expression = (raw === undefined ? escaped : raw).trim();
+        let value;
+        try {
+            value = evaluateExpressionValue(el, expression, targetElements, context);
+        } catch (error) {
+            console.error(`Error rendering ${attributeName} "${match}":`, error);
+            return '';
+        }
+        value = (value === null || value === undefined) ? '' : String(value);
+        return (raw === undefined && escape) ? escapeHTML(value) : value;
+    });
+}
+
+/**
+ * Dispatches a lifecycle event of the chain of actions on the element (e.g. eventactions:before), so that other code
+ *  can observe (or veto) the actions. The events bubble, and their detail includes the prefix, the step and the
+ *  variables of the chain of the action (if any), besides the given detail.
+ * @param {HTMLElement} el The element that defines the actions.
+ * @param {string} type The type of the event, without the 'eventactions:' namespace (e.g. 'before').
+ * @param {Object} context The context of the action (see executeAction).
+ * @param {Object} detail The rest of the detail of the event.
+ * @param {boolean} cancelable Whether the event is cancelable.
+ * @returns {boolean} False if the event was cancelled (i.e. preventDefault was called on it).
+ */
+function dispatchLifecycleEvent(el, type, context = {}, detail = {}, cancelable = false) {
+    const event = new CustomEvent(`eventactions:${type}`, {
+        bubbles: true,
+        cancelable: cancelable,
+        detail: Object.assign({ prefix: context.prefix || null, step: context.step !== undefined ? context.step : null, vars: context.vars || null }, detail),
+    });
+    return el.dispatchEvent(event);
 }
 
 /**
  * Executes the action on the given element with the given options.
  * @param {HTMLElement} el The element to execute the action on.
  * @param {Object} actionOptions The options for the action.
+ * @param {Object} context The context in which the action is executed (when it is part of a chain of actions):
+ *  - prefix: the prefix of the attributes from which the options were obtained (used in the messages).
+ *  - splash: the controller of the splash dialog of the chain (see createSplashController).
+ *  - event: the event that triggered the chain of actions.
+ *  - vars: the variables of the chain of actions, which are shared by all its actions (if not set, the action gets its
+ *          own variables).
+ *  - targets: set by the action, with its target elements.
+ *  - step: the step of the chain that the action corresponds to (0 for the base action, 1, 2, ..., the name of a named
+ *          step, 'last', 'catch' or 'finally').
+ *  - error: the last error of the actions of the chain (e.g. the one that stopped it, in the -catch action); when the
+ *           action fails, it sets the error.
+ *  - cancelled: set by the action when it stops the chain, with the reason ('condition', 'confirm', 'prompt',
+ *               'action', 'trigger', 'timeout', 'abort' or 'error'), so that the chain can branch (see runEventActions).
+ *  - iteration: set by the action while it is repeated (see repeat and pollUntil), starting at 0.
+ *  - chainTargets: the set in which the action adds its targets once it has been performed, to save their state when
+ *                  the chain ends (see saveEventActionsState).
+ *  - signal: the AbortSignal of the chain of actions, which is aborted when the chain has to stop (e.g. when it is
+ *            restarted or cancelled); then the delays and the requests of the action are interrupted, and the action stops.
+ *  - chain: the chains of actions being run (i.e. the element and the prefix of the chain of this action, preceded by
+ *           the chains that triggered it), to detect cycles when triggering other chains.
  * @returns {Promise<boolean>} A promise that resolves to true if the action was executed, or false if it was not (due to condition not met or user cancelling).
  */
-async function executeAction(el, actionOptions) {
+async function executeAction(el, actionOptions, context = {}) {
+    const prefix = context.prefix || null;
+
+    // Stops the chain of actions, for the given reason
+    const cancel = (reason, detail = {}) => {
+        context.cancelled = reason;
+        if (reason !== 'error') {
+            dispatchLifecycleEvent(el, 'cancelled', context, Object.assign({ reason: reason }, detail));
+        }
+        return false;
+    };
+
+    // Stops the chain of actions because of an error, which is notified (and kept in the context, for the -catch action)
+    const fail = (error, detail = {}) => {
+        dispatchLifecycleEvent(el, 'error', context, Object.assign({ error: error }, detail));
+        context.error = error;
+        return cancel('error');
+    };
+
+    // The dialogs reject when the user cancels them (e.g. with false or 'cancel'), but with an error if they fail (e.g.
+    //  the provider of the dialogs throws one), and then the action fails
+    const isDialogError = error => Object.prototype.toString.call(error) === '[object Error]';
+
+    // If the chain of actions has been stopped, the action stops as well
+    const isAborted = () => {
+        if (context.signal && context.signal.aborted) {
+            cancel('abort');
+            return true;
+        }
+        return false;
+    };
+
     // We sanitize the options first
     actionOptions = Object.assign({}, EventActions.defaultActionOptions, actionOptions || {});
+    context.vars = context.vars || {};
 
     // First we are going to get the target elements
     let targetElements = [];
@@ -75,225 +298,258 @@ async function executeAction(el, actionOptions) {
         }
     }
 
+    context.targets = targetElements;
+
     // Let's check if there is a condition to evaluate
     const condition = sanitizeValue(actionOptions.condition || null);
 
     if (condition) {
         // If a condition is specified, we evaluate it
-        if (typeof condition === 'function') {
-            result = condition.bind(el)(targetElements);
-            if (!result) {
-                return false;
-            }
-            return true;
-        }
         try {
-            let result = function () {
-                return eval(condition);
-            }.bind(el)(targetElements);
-            if (typeof result === 'function') {
-                // If the condition is a function, we call it
-                result = result.bind(el)(targetElements);
-            }
-            if (!result) {
-                return false;
+            if (!evaluateExpression(el, condition, targetElements, context)) {
+                return cancel('condition');
             }
         } catch (error) {
-            console.error(`Error evaluating condition "${condition}":`, error);
-            return false;
+            console.error(`Error evaluating ${getAttributeName(prefix, 'condition')} "${condition}":`, error);
+            return fail(error, { attribute: getAttributeName(prefix, 'condition') });
         }
     }    
 
     // Now we check for a local condition (if any)
     const conditionAction = sanitizeValue(actionOptions.conditionAction || null);
-    let shouldSkipAction = false;
     if (conditionAction) {
         // If a local condition is specified, we evaluate it
-        if (typeof conditionAction === 'function') {
-            result = conditionAction.bind(el)(targetElements);
-            if (!result) {
-                return true; // We skip this action but continue with the rest
-            }
-        }
         try {
-            let result = function () {
-                return eval(conditionAction);
-            }.bind(el)(targetElements);
-            if (typeof result === 'function') {
-                // If the condition is a function, we call it
-                result = result.bind(el)(targetElements);
-            }
-            if (!result) {
-                shouldSkipAction = true; // We skip this action but continue with the rest
+            if (!evaluateExpression(el, conditionAction, targetElements, context)) {
+                dispatchLifecycleEvent(el, 'skipped', context, { reason: 'conditionAction' });
+                return true; // We skip this action but continue with the rest
             }
         } catch (error) {
-            console.error(`Error evaluating action condition "${conditionAction}":`, error);
-            shouldSkipAction = true; // We skip this action but continue with the rest
+            console.error(`Error evaluating ${getAttributeName(prefix, 'conditionAction')} "${conditionAction}":`, error);
+            dispatchLifecycleEvent(el, 'error', context, { error: error, attribute: getAttributeName(prefix, 'conditionAction') });
+            dispatchLifecycleEvent(el, 'skipped', context, { reason: 'error' });
+            return true; // We skip this action but continue with the rest
         }
     }
 
-    if (shouldSkipAction) {
-        return true; // We skip this action but continue with the rest
-    }
-
     // Now we should check for confirmation (if any)
-    const confirmMessage = sanitizeValue(actionOptions.confirm || null);
+    const confirmMessage = renderTemplate(el, sanitizeValue(actionOptions.confirm || null), targetElements, context, getAttributeName(prefix, 'confirm'));
     if (confirmMessage) {
         const confirmAcceptText = sanitizeValue(actionOptions.confirmAcceptText || 'OK');
         const confirmCancelText = sanitizeValue(actionOptions.confirmCancelText || 'Cancel');
         try {
             await confirmDialog(confirmMessage, confirmAcceptText, confirmCancelText);
         } catch (error) {
-            return false; // User cancelled
+            if (isDialogError(error)) {
+                console.error(`Error showing the dialog of ${getAttributeName(prefix, 'confirm')}:`, error);
+                return fail(error, { attribute: getAttributeName(prefix, 'confirm') });
+            }
+            return cancel('confirm'); // User cancelled
+        }
+        if (isAborted()) {
+            return false;
+        }
+    }
+
+    // Now we ask the user for a value (if any), which is stored in the variables of the chain
+    const promptMessage = renderTemplate(el, sanitizeValue(actionOptions.prompt || null), targetElements, context, getAttributeName(prefix, 'prompt'));
+    if (promptMessage) {
+        let value;
+        try {
+            value = await promptDialog(promptMessage, {
+                type: sanitizeValue(actionOptions.promptType) || 'text',
+                value: renderTemplate(el, sanitizeValue(actionOptions.promptValue), targetElements, context, getAttributeName(prefix, 'promptValue'), false),
+                options: parseAssignments(actionOptions.promptOptions).map(([ value, label ]) => ({ value: value, label: label || value })),
+                pattern: sanitizeValue(actionOptions.promptPattern),
+                acceptText: sanitizeValue(actionOptions.promptAcceptText || 'OK'),
+                cancelText: sanitizeValue(actionOptions.promptCancelText || 'Cancel'),
+            });
+        } catch (error) {
+            if (isDialogError(error)) {
+                console.error(`Error showing the dialog of ${getAttributeName(prefix, 'prompt')}:`, error);
+                return fail(error, { attribute: getAttributeName(prefix, 'prompt') });
+            }
+            return cancel('prompt'); // User cancelled
+        }
+        if (isAborted()) {
+            return false;
         }
+        context.vars[sanitizeValue(actionOptions.promptVar) || 'input'] = value;
     }
 
     // If there is an action to execute, we do it now
     const execute = sanitizeValue(actionOptions.execute || null);
     if (execute) {
-        if (typeof execute === 'function') {
-            execute.bind(el)(targetElements);
-        } else {
-            try {
-                let result = function () {
-                    return eval(execute);
-                }.bind(el)();
-                if (typeof result === 'function') {
-                    // If the action is a function, we call it
-                    result = result.bind(el)(targetElements);
-                }
-            } catch (error) {
-                console.error(`Error executing action "${execute}":`, error);
+        try {
+            // If the expression returns a promise (e.g. a call to an async function), we wait for it
+            let result = evaluateExpression(el, execute, targetElements, context);
+            if (result && typeof result.then === 'function') {
+                result = await result;
             }
+            const executeAs = sanitizeValue(actionOptions.executeAs || null);
+            if (executeAs) {
+                context.vars[executeAs] = result;
+            }
+        } catch (error) {
+            console.error(`Error executing ${getAttributeName(prefix, 'execute')} "${execute}":`, error);
+            return fail(error, { attribute: getAttributeName(prefix, 'execute') });
+        }
+        if (isAborted()) {
+            return false;
         }
     }
 
-    // We are adding the classes now
-    const classesAdd = sanitizeValue(actionOptions.classAdd || null);
-    const classesRemove = sanitizeValue(actionOptions.classRemove || null);
-    const classesToggle = sanitizeValue(actionOptions.classToggle || null);
-    const classesSet = sanitizeValue(actionOptions.classSet || null);
-    
-    const classListAdd = classesAdd ? classesAdd.split(/\s+/).filter(cls => cls.trim() !== '') : [];
-    const classListRemove = classesRemove ? classesRemove.split(/\s+/).filter(cls => cls.trim() !== '') : [];
-    const classListToggle = classesToggle ? classesToggle.split(/\s+/).filter(cls => cls.trim() !== '') : [];
-    const classListSet = classesSet ? classesSet.split(/\s+/).filter(cls => cls.trim() !== '') : [];
-
-    // If no classes to set, unset or toggle, we cannot proceed
-    // if (classListAdd.length === 0 && classListRemove.length === 0 && classListToggle.length === 0 && classListSet.length === 0) {
-    //     return false;
-    // }
+    // If a splash message is specified, we show it while the action is being performed (i.e. during the delay and the verbs)
+    if (context.splash && !isSplashCleared(actionOptions.splash)) {
+        try {
+            context.splash.show(actionOptions.splash, sanitizeValue(actionOptions.splashCancel || null));
+        } catch (error) {
+            console.error(`Error showing the dialog of ${getAttributeName(prefix, 'splash')}:`, error);
+            return fail(error, { attribute: getAttributeName(prefix, 'splash') });
+        }
+    }
 
-    // Check if the classes intersect, if so, we cannot proceed
-    const intersectionSR = classListAdd.filter(cls => classListRemove.includes(cls));
-    const intersectionST = classListAdd.filter(cls => classListToggle.includes(cls));
-    const intersectionRT = classListRemove.filter(cls => classListToggle.includes(cls));
-    if (intersectionSR.length > 0 || intersectionST.length > 0 || intersectionRT.length > 0) {
-        console.warn('Cannot set, unset or toggle the same class at the same time:', {
-            classListAdd: classListAdd,
-            classListRemove: classListRemove,
-            classListToggle: classListToggle
-        });
-        return false;
+    const delay = parseFloat(actionOptions.delay) || 0;
+    if (delay > 0 && !isNaN(delay)) {
+        // console.log(`Delaying action by ${delay} milliseconds`);
+        await sleep(delay, context.signal || null);
+        if (isAborted()) {
+            return false;
+        }
     }
 
-    let applyClasses = () => {
-        for (const targetElement of targetElements) {
-            if (classListSet.length > 0) {
-                targetElement.classList.remove(...targetElement.classList); // Remove all existing classes
-                classListSet.forEach(cls => {
-                    targetElement.classList.add(cls);
-                });
-                continue; // If we are setting classes, we do not need to add/toggle classes
+    // The action is performed several times if it is repeated (or polled); the options are copied for each repetition,
+    //  because the verbs may modify them (e.g. fetch)
+    const pollUntil = sanitizeValue(actionOptions.pollUntil || null);
+    const repeat = pollUntil ? Infinity : Math.max(parseInt(actionOptions.repeat, 10) || 1, 1);
+    const repeatInterval = Math.max(parseFloat(actionOptions.repeatInterval) || 0, 0);
+    const pollTimeout = parseFloat(actionOptions.pollTimeout) || 0;
+    const startTime = Date.now();
+    const repeatedOptions = actionOptions;
+    for (let iteration = 0; iteration < repeat; iteration++) {
+        context.iteration = iteration;
+        actionOptions = Object.assign({}, repeatedOptions);
+
+        // If there are other elements to trigger, we run their chains of actions and wait for them to finish
+        const trigger = sanitizeValue(actionOptions.trigger || null);
+        if (trigger) {
+            if (!await triggerEventActions(el, trigger, sanitizeValue(actionOptions.triggerPrefix || null), context)) {
+                return isAborted() ? false : cancel('trigger');
             }
-            if (classListToggle.length > 0) {
-                classListToggle.forEach(cls => {
-                    targetElement.classList.toggle(cls);
-                });
+        }
+
+        // The placeholders of the content are rendered now (so that, e.g., the response of a request is not rendered); the
+        //  values are not escaped if they are going to be inserted as text
+        const escapeContent = actionOptions.contentMethod !== 'textContent';
+        for (const option of [ 'contentSet', 'contentAppend', 'contentPrepend' ]) {
+            actionOptions[option] = renderTemplate(el, actionOptions[option], targetElements, context, getAttributeName(prefix, option), escapeContent);
+        }
+
+        // Now we apply the action verbs, in order
+        for (const verb of ACTION_VERBS) {
+            if (!isActionVerbActive(verb, actionOptions)) {
+                continue;
             }
-            if (classListAdd.length > 0) {
-                classListAdd.forEach(cls => {
-                    targetElement.classList.add(cls);
-                });
+            if (isAborted()) {
+                return false;
             }
-            if (classListRemove.length > 0) {
-                classListRemove.forEach(cls => {
-                    targetElement.classList.remove(cls);
-                });
+            try {
+                if (await verb.apply(targetElements, actionOptions, el, context) === false) {
+                    return isAborted() ? false : cancel('action', { action: verb.name });
+                }
+            } catch (error) {
+                console.error(`Error applying the action "${verb.name}":`, error);
+                return fail(error, { action: verb.name });
             }
         }
-    };
-
-    const contentMethod = sanitizeValue(actionOptions.contentMethod || 'innerHTML');
-    if (!['innerHTML', 'textContent'].includes(contentMethod)) {
-        console.warn(`Invalid content method: ${contentMethod}`);
-        return;
-    }
-    const contentSet = sanitizeValue(actionOptions.contentSet || null);
-    const contentAppend = sanitizeValue(actionOptions.contentAppend || null);
-    const contentPrepend = sanitizeValue(actionOptions.contentPrepend || null);
-    const contentClear = actionOptions.contentClear === true || actionOptions.contentClear === 'true' || actionOptions.contentClear === '';
 
-    let applyContentChanges = () => {
-        for (const targetElement of targetElements) {
-            if (contentClear) {
-                targetElement[contentMethod] = '';
+        // If the verbs started transitions or animations (e.g. by adding a class), we wait for them to finish
+        const waitFor = sanitizeValue(actionOptions.waitFor || null);
+        if (waitFor) {
+            await waitForAnimations(targetElements, waitFor, parseFloat(actionOptions.waitForTimeout) || 0, context.signal || null);
+            if (isAborted()) {
+                return false;
             }
-            if (contentSet) {
-                targetElement[contentMethod] = contentSet;
+        }
+
+        // If the action is polled, we check whether we are done (or we have run out of time)
+        if (pollUntil) {
+            try {
+                if (evaluateExpression(el, pollUntil, targetElements, context)) {
+                    break;
+                }
+            } catch (error) {
+                console.error(`Error evaluating ${getAttributeName(prefix, 'pollUntil')} "${pollUntil}":`, error);
+                return fail(error, { attribute: getAttributeName(prefix, 'pollUntil') });
             }
-            if (contentAppend) {
-                targetElement[contentMethod] += contentAppend;
+            if (pollTimeout > 0 && Date.now() - startTime >= pollTimeout) {
+                return cancel('timeout');
             }
-            if (contentPrepend) {
-                targetElement[contentMethod] = contentPrepend + targetElement[contentMethod];
+        }
+
+        // We wait before the next repetition (the splash dialog, if any, is kept)
+        if (iteration + 1 < repeat) {
+            await sleep(repeatInterval, context.signal || null);
+            if (isAborted()) {
+                return false;
             }
         }
     }
 
-    const scrollTo = sanitizeValue(actionOptions.scrollTo || null);
-    if (scrollTo && !['top', 'bottom', 'left', 'right'].includes(scrollTo)) {
-        console.warn(`Invalid scroll-to value: ${scrollTo}`);
-        scrollTo = null;
+    if (context.chainTargets) {
+        targetElements.forEach(target => context.chainTargets.add(target));
     }
-    let applyScroll = () => {
-        if (!scrollTo) {
-            return;
+
+    // If there is a toast message, we show it now (the chain does not wait for it, unless toastWait is set)
+    const toastMessage = renderTemplate(el, sanitizeValue(actionOptions.toast || null), targetElements, context, getAttributeName(prefix, 'toast'));
+    if (toastMessage) {
+        const toastActionExecute = sanitizeValue(actionOptions.toastActionExecute || null);
+        let shown;
+        try {
+            shown = toastDialog(toastMessage, {
+                variant: sanitizeValue(actionOptions.toastVariant || 'info'),
+                duration: actionOptions.toastDuration,
+                position: sanitizeValue(actionOptions.toastPosition || 'top-end'),
+                actionText: sanitizeValue(actionOptions.toastAction || null),
+            });
+        } catch (error) {
+            console.error(`Error showing the toast of ${getAttributeName(prefix, 'toast')}:`, error);
+            return fail(error, { attribute: getAttributeName(prefix, 'toast') });
         }
-        for (const targetElement of targetElements) {
-            // Scroll the target element into view
-            switch (scrollTo) {
-                case 'top':
-                    targetElement.scrollTop = 0;
-                    break;
-                case 'bottom':
-                    targetElement.scrollTop = targetElement.scrollHeight;
-                    break;
-                case 'left':
-                    targetElement.scrollLeft = 0;
-                    break;
-                case 'right':
-                    targetElement.scrollLeft = targetElement.scrollWidth;
-                    break;
+        const toast = shown.then(result => {
+            if (result !== 'action' || !toastActionExecute) {
+                return;
+            }
+            try {
+                evaluateExpression(el, toastActionExecute, targetElements, context);
+            } catch (error) {
+                console.error(`Error executing ${getAttributeName(prefix, 'toastActionExecute')} "${toastActionExecute}":`, error);
+            }
+        }).catch(error => {
+            // The chain may have finished by then, so the error is only reported
+            console.error(`Error showing the toast of ${getAttributeName(prefix, 'toast')}:`, error);
+        });
+        if (actionOptions.toastWait === true) {
+            await toast;
+            if (isAborted()) {
+                return false;
             }
-            // Only the first target element is scrolled
-            break;
         }
     }
 
-    const delay = parseFloat(actionOptions.delay) || 0;
-    if (delay > 0 && !isNaN(delay)) {
-        // console.log(`Delaying action by ${delay} milliseconds`);
-        await new Promise(resolve => setTimeout(resolve, delay) );
-    }
-    applyClasses();
-    applyContentChanges();
-    applyScroll();
     // If there is an acknowledge message, we show it now
-    const acknowledgeMessage = sanitizeValue(actionOptions.acknowledge || null);
+    const acknowledgeMessage = renderTemplate(el, sanitizeValue(actionOptions.acknowledge || null), targetElements, context, getAttributeName(prefix, 'acknowledge'));
     const acknowledgeButton = sanitizeValue(actionOptions.acknowledgeButton || 'OK');
     if (acknowledgeMessage) {
-        await messageDialog(acknowledgeMessage, acknowledgeButton);
+        // The dialog may be dismissed instead of accepted (e.g. using the Escape key), which is the same for the chain
+        try {
+            await messageDialog(acknowledgeMessage, acknowledgeButton);
+        } catch (error) {
+            if (isDialogError(error)) {
+                console.error(`Error showing the dialog of ${getAttributeName(prefix, 'acknowledge')}:`, error);
+                return fail(error, { attribute: getAttributeName(prefix, 'acknowledge') });
+            }
+        }
     }
 
     return true;
@@ -312,173 +568,1550 @@ function removeEventActions(el, eventType = null) {
 
     // If eventType is not specified, remove all event actions
     if (!eventType) {
-        for (const type in el._eventActions) {
+        for (const type of Object.keys(el._eventActions).filter(key => key !== 'handlers')) {
             removeEventActions(el, type);
         }
         return;
     }
 
-    if (!el._eventActions[eventType]) return;
+    if (!(eventType in el._eventActions)) return;
 
     // We remove the event listener
     if (el._eventActions.handlers && el._eventActions.handlers[eventType]) {
         el.removeEventListener(eventType, el._eventActions.handlers[eventType]);
         delete el._eventActions.handlers[eventType];
     }
+
+    // The triggers that bound the element for this event type release it
+    for (const trigger of Object.values(EVENT_TRIGGERS)) {
+        if (trigger.eventType === eventType && typeof trigger.unbind === 'function') {
+            trigger.unbind(el, trigger.prefix);
+        }
+    }
     
     // We restore the original inline handler (if any)
     if (el._eventActions[eventType]) {
         el[`on${eventType}`] = el._eventActions[eventType];
-        delete el._eventActions[eventType];
     } else {
         el[`on${eventType}`] = null;
     }
+    delete el._eventActions[eventType];
 
-    // If there are no more handlers, we remove the _eventActions property
-    if (el._eventActions.handlers && Object.keys(el._eventActions.handlers).length === 0) {
+    // If there are no more event types, we remove the _eventActions property
+    if (Object.keys(el._eventActions).every(key => key === 'handlers')) {
         delete el._eventActions;
     }
 }
 
 /**
- * Adds event actions to the given element for the given event type.
- * @param {HTMLElement} el The element to add the event actions to.
- * @param {string} eventType The event type to listen for (default: 'click').
- * @param {string} prefix The prefix for the data attributes (default: 'ca' for click-action, 'sa' for scroll-action).
+ * Registers an action verb (e.g. class, content or scroll), which is applied to the target elements of the actions.
+ *
+ *  The options of the verb are added to the default options of the actions, so they are obtained from the attributes
+ *  of the elements as any other option. The names of the options must start with the name of the verb, so that
+ *  e.g. the option `fetchUrl` of the verb `fetch` is obtained from the attribute `data-ca-fetch-url`.
+ *
+ *  The verbs are applied after the condition, the confirmation, the execution and the delay of the action, and before the
+ *  acknowledge message, in ascending order of their `order` (the built-in verbs are fetch: 50, class: 100, attr: 110, prop: 120,
+ *  style: 130, value: 140, content: 200, animate: 250, scroll: 300 and history: 400). A verb is only applied if any of its options has a value other
+ *  than its default value.
+ * @param {string} name The name of the verb (e.g. 'fetch'). If a verb with the same name exists, it is replaced.
+ * @param {Object} definition The definition of the verb:
+ *  - options: the options of the verb and their default values (e.g. { fetchUrl: null, fetchMethod: 'GET' }).
+ *  - apply: the function that applies the verb, as apply(targets, options, el, context), where `targets` are the target
+ *      elements, `options` are all the options of the action, `el` is the element that defines the action, and
+ *      `context` is the context of the action (see executeAction; e.g. context.signal is aborted if the chain is
+ *      stopped). It can be async, and if it returns (or resolves to) false, the chain of actions stops (as if a
+ *      condition was not met).
+ *  - order: the order in which the verb is applied (default: after the verbs already registered).
+ * @returns {Object} The verb.
  */
-function addEventActions(el, eventType = 'click', prefix = 'ca') {
-    if (!el) return;
-    if (el._eventActions && el._eventActions[eventType]) return; // Already available
-
-    // We store the existing onclick handler (if any) and remove it because we want to make it run after the event actions
-    el._eventActions = el._eventActions || {};
-    el._eventActions[eventType] = el[`on${eventType}`] || null;
-    el[`on${eventType}`] = null;
-
-    function actionHandler(el, prefix) {
-        let handler = async function(event) {
-            event.preventDefault();
-            event.stopPropagation();
-
-            // Check the condition (if any) and execute the action
-            let conditionMet = true;
-            
-            // The spinner (if any)
-            let splashDlg = null;
-
-            // We get the options for this element and prefix
-            let options = getElementOptions(el, EventActions.defaultActionOptions, prefix, true);
-            if (options && Object.keys(options).length > 0) {
-                options = Object.assign({}, EventActions.defaultActionOptions, options || {});
-                conditionMet = await executeAction(el, options);
-                // If a splash message is specified, we show it now
-                if (conditionMet && options.splash) {
-                    if (splashDlg) {
-                        splashDlg.modal.hide();
-                        splashDlg = null;
-                    }
-                    splashDlg = splashDialog(options.splash);
-                }
-            }
+function registerAction(name, definition = {}) {
+    if (!name || typeof definition.apply !== 'function') {
+        console.error(`The action "${name}" must have a name and an apply function`);
+        return null;
+    }
 
-            // Search for suffixed options
-            let i = 1;
-            while (conditionMet) {
-                options = getElementOptions(el, EventActions.defaultActionOptions, `${prefix}-${i}`, true);
-                if (options && Object.keys(options).length > 0) {
-                    const clearSplash = options.splash === null || options.splash === "" || options.splash === 'false' || options.splash === '0' || options.splash === false;
-                    options = Object.assign({}, EventActions.defaultActionOptions, options || {});
-                    conditionMet = await executeAction(el, options);
-                    if (clearSplash) {
-                        if (splashDlg) {
-                            splashDlg.modal.hide();
-                            splashDlg = null;
-                        }
-                    }
-                    if (conditionMet && options.splash) {
-                        if (splashDlg) {
-                            splashDlg.modal.hide();
-                            splashDlg = null;
-                        }
-                        splashDlg = splashDialog(options.splash);
-                    }
-                    i++;
-                } else {
-                    break;
-                }
-            }
+    const options = definition.options || {};
+    for (const option of Object.keys(options)) {
+        if (!option.startsWith(name)) {
+            console.warn(`The option "${option}" of the action "${name}" should start with the name of the action`);
+        }
+    }
 
-            if (conditionMet) {
-                // Now search the -last action (if any)
-                options = getElementOptions(el, EventActions.defaultActionOptions, `${prefix}-last`, true);
-                if (options && Object.keys(options).length > 0) {
-                    options = Object.assign({}, EventActions.defaultActionOptions, options || {});
-                    await executeAction(el, options);
+    const index = ACTION_VERBS.findIndex(verb => verb.name === name);
+    if (index !== -1) {
+        ACTION_VERBS.splice(index, 1);
+    }
 
-                    if (options.splash === null) {
-                        if (splashDlg) {
-                            splashDlg.modal.hide();
-                            splashDlg = null;
-                        }
-                    }
-                    if (conditionMet && options.splash) {
-                        if (splashDlg) {
-                            splashDlg.modal.hide();
-                            splashDlg = null;
-                        }
-                        splashDlg = splashDialog(options.splash);
-                    }
-                }
-            }
+    const lastOrder = ACTION_VERBS.length > 0 ? ACTION_VERBS[ACTION_VERBS.length - 1].order : 0;
+    const verb = {
+        name: name,
+        options: options,
+        apply: definition.apply,
+        order: typeof definition.order === 'number' ? definition.order : lastOrder + 100,
+    };
 
-            // If there is a -finally action, we execute it always
-            options = getElementOptions(el, EventActions.defaultActionOptions, `${prefix}-finally`, true);
-            if (options && Object.keys(options).length > 0) {
-                options = Object.assign({}, EventActions.defaultActionOptions, options || {});
-                await executeAction(el, options);
+    Object.assign(DEFAULT_OPTIONS_ACTION, options);
+    EVENT_ACTIONS_SELECTORS.clear();
+    ACTION_VERBS.push(verb);
+    ACTION_VERBS.sort((a, b) => a.order - b.order);
+    return verb;
+}
 
-                if (options.splash === null) {
-                    if (splashDlg) {
-                        splashDlg.modal.hide();
-                        splashDlg = null;
-                    }
-                }
-                if (conditionMet && options.splash) {
-                    if (splashDlg) {
-                        splashDlg.modal.hide();
-                        splashDlg = null;
-                    }
-                    splashDlg = splashDialog(options.splash);
-                }
-            }
+/**
+ * Checks whether an action verb has to be applied, i.e. any of its options has a value other than its default value.
+ * @param {Object} verb The verb.
+ * @param {Object} actionOptions The options of the action.
+ * @returns {boolean} True if the verb has to be applied.
+ */
+function isActionVerbActive(verb, actionOptions) {
+    return Object.keys(verb.options).some(option => actionOptions[option] !== undefined && actionOptions[option] !== verb.options[option]);
+}
 
-            // If there is an inline handler, we call it now, but only if all conditions were met
-            //  (if any condition was not met, the inline handler is not called)
-            if (conditionMet) {   
-                // Call the inline handler (if any)
-                if (el._eventActions && el._eventActions[eventType]) {
-                    el._eventActions[eventType].bind(el)(event);
-                }
-            }
+/**
+ * Splits a list of classes separated by spaces.
+ * @param {string|null} classes The classes.
+ * @returns {string[]} The list of classes.
+ */
+function splitClasses(classes) {
+    classes = sanitizeValue(classes || null);
+    return classes ? classes.split(/\s+/).filter(cls => cls.trim() !== '') : [];
+}
 
-            // We close the splash dialog (if any)
-            if (splashDlg) {
-                splashDlg.modal.hide();
-            }
-        };
-        return handler;
-    }    
+/**
+ * Adds, removes, toggles or sets the classes of the target elements (the verb `class`).
+ * @param {HTMLElement[]} targetElements The target elements of the action.
+ * @param {Object} actionOptions The options of the action.
+ * @returns {boolean|undefined} False if the classes are not valid (i.e. the same class is added, removed or toggled).
+ */
+function applyClasses(targetElements, actionOptions) {
+    const classListAdd = splitClasses(actionOptions.classAdd);
+    const classListRemove = splitClasses(actionOptions.classRemove);
+    const classListToggle = splitClasses(actionOptions.classToggle);
+    const classListSet = splitClasses(actionOptions.classSet);
 
-    function addHandler(el, eventType, handler) {
-        el.addEventListener(eventType, handler);
-        el._eventActions.handlers = el._eventActions.handlers || {};
-        el._eventActions.handlers[eventType] = handler;        
+    // Check if the classes intersect, if so, we cannot proceed
+    const intersectionSR = classListAdd.filter(cls => classListRemove.includes(cls));
+    const intersectionST = classListAdd.filter(cls => classListToggle.includes(cls));
+    const intersectionRT = classListRemove.filter(cls => classListToggle.includes(cls));
+    if (intersectionSR.length > 0 || intersectionST.length > 0 || intersectionRT.length > 0) {
+        console.warn('Cannot set, unset or toggle the same class at the same time:', {
+            classListAdd: classListAdd,
+            classListRemove: classListRemove,
+            classListToggle: classListToggle
+        });
+        return false;
     }
 
-    addHandler(el, eventType, actionHandler(el, prefix));
-}
-
-const EventActions = {
+    for (const targetElement of targetElements) {
+        if (classListSet.length > 0) {
+            targetElement.classList.remove(...targetElement.classList); // Remove all existing classes
+            classListSet.forEach(cls => {
+                targetElement.classList.add(cls);
+            });
+            continue; // If we are setting classes, we do not need to add/toggle classes
+        }
+        classListToggle.forEach(cls => {
+            targetElement.classList.toggle(cls);
+        });
+        classListAdd.forEach(cls => {
+            targetElement.classList.add(cls);
+        });
+        classListRemove.forEach(cls => {
+            targetElement.classList.remove(cls);
+        });
+    }
+}
+
+/**
+ * Clears, sets, appends or prepends the content of the target elements (the verb `content`).
+ * @param {HTMLElement[]} targetElements The target elements of the action.
+ * @param {Object} actionOptions The options of the action.
+ * @returns {boolean|undefined} False if the content method is not valid.
+ */
+function applyContentChanges(targetElements, actionOptions) {
+    const contentMethod = sanitizeValue(actionOptions.contentMethod || 'innerHTML');
+    if (!['innerHTML', 'textContent'].includes(contentMethod)) {
+        console.warn(`Invalid content method: ${contentMethod}`);
+        return false;
+    }
+    const contentSet = sanitizeValue(actionOptions.contentSet || null);
+    const contentAppend = sanitizeValue(actionOptions.contentAppend || null);
+    const contentPrepend = sanitizeValue(actionOptions.contentPrepend || null);
+    const contentClear = actionOptions.contentClear === true || actionOptions.contentClear === 'true' || actionOptions.contentClear === '';
+
+    for (const targetElement of targetElements) {
+        if (contentClear) {
+            targetElement[contentMethod] = '';
+        }
+        if (contentSet) {
+            targetElement[contentMethod] = contentSet;
+        }
+        if (contentAppend) {
+            targetElement[contentMethod] += contentAppend;
+        }
+        if (contentPrepend) {
+            targetElement[contentMethod] = contentPrepend + targetElement[contentMethod];
+        }
+    }
+}
+
+/**
+ * Scrolls the first of the target elements to the top, bottom, left or right (the verb `scroll`).
+ * @param {HTMLElement[]} targetElements The target elements of the action.
+ * @param {Object} actionOptions The options of the action.
+ */
+function applyScroll(targetElements, actionOptions) {
+    const scrollTo = sanitizeValue(actionOptions.scrollTo || null);
+    if (!['top', 'bottom', 'left', 'right'].includes(scrollTo)) {
+        console.warn(`Invalid scroll-to value: ${scrollTo}`);
+        return;
+    }
+
+    // Only the first target element is scrolled
+    const targetElement = targetElements[0];
+    if (!targetElement) {
+        return;
+    }
+    switch (scrollTo) {
+        case 'top':
+            targetElement.scrollTop = 0;
+            break;
+        case 'bottom':
+            targetElement.scrollTop = targetElement.scrollHeight;
+            break;
+        case 'left':
+            targetElement.scrollLeft = 0;
+            break;
+        case 'right':
+            targetElement.scrollLeft = targetElement.scrollWidth;
+            break;
+    }
+}
+
+/**
+ * Sets, removes or toggles the attributes of the target elements (the verb `attr`).
+ * @param {HTMLElement[]} targetElements The target elements of the action.
+ * @param {Object} actionOptions The options of the action.
+ */
+function applyAttributes(targetElements, actionOptions) {
+    const attributesSet = parseAssignments(actionOptions.attrSet);
+    const attributesRemove = splitClasses(actionOptions.attrRemove);
+    const attributesToggle = splitClasses(actionOptions.attrToggle);
+
+    for (const targetElement of targetElements) {
+        for (const [ name, value ] of attributesSet) {
+            targetElement.setAttribute(name, value);
+        }
+        attributesRemove.forEach(name => {
+            targetElement.removeAttribute(name);
+        });
+        attributesToggle.forEach(name => {
+            targetElement.toggleAttribute(name);
+        });
+    }
+}
+
+/**
+ * Sets the properties of the target elements (the verb `prop`). The values are converted to the literal that they
+ *  represent (e.g. "disabled=true" sets the property to the boolean true).
+ * @param {HTMLElement[]} targetElements The target elements of the action.
+ * @param {Object} actionOptions The options of the action.
+ */
+function applyProperties(targetElements, actionOptions) {
+    const propertiesSet = parseAssignments(actionOptions.propSet);
+    for (const targetElement of targetElements) {
+        for (const [ name, value ] of propertiesSet) {
+            targetElement[name] = parseLiteralValue(value);
+        }
+    }
+}
+
+/**
+ * Gets the CSS name of a style property written in kebab-case or camelCase (e.g. fontSize is font-size). The names in
+ *  kebab-case and the custom properties (e.g. --main-color) are kept as they are, and the vendor prefixes written in
+ *  camelCase get their leading dash (e.g. WebkitTransform or msTransform are -webkit-transform and -ms-transform).
+ * @param {string} name The name of the property.
+ * @returns {string} The CSS name of the property.
+ */
+function getStylePropertyName(name) {
+    if (name.startsWith('--') || !/[A-Z]/.test(name)) {
+        return name;
+    }
+    const cssName = name.replace(/[A-Z]/g, (g) => `-${g.toLowerCase()}`);
+    return /^ms-/.test(cssName) ? `-${cssName}` : cssName;
+}
+
+/**
+ * Sets the inline styles of the target elements (the verb `style`), e.g. "display:none; opacity:.5". The properties can
+ *  be written in kebab-case or camelCase, and the values can include "!important".
+ * @param {HTMLElement[]} targetElements The target elements of the action.
+ * @param {Object} actionOptions The options of the action.
+ */
+function applyStyles(targetElements, actionOptions) {
+    const stylesSet = parseAssignments(actionOptions.styleSet, ':').map(([ name, value ]) => {
+        const important = /\s*!important$/i.test(value);
+        return [ getStylePropertyName(name), value.replace(/\s*!important$/i, ''), important ? 'important' : '' ];
+    });
+    for (const targetElement of targetElements) {
+        for (const [ name, value, priority ] of stylesSet) {
+            targetElement.style.setProperty(name, value, priority);
+        }
+    }
+}
+
+/**
+ * Sets the value of the target elements (the verb `value`), which are expected to be form controls.
+ * @param {HTMLElement[]} targetElements The target elements of the action.
+ * @param {Object} actionOptions The options of the action.
+ */
+function applyValue(targetElements, actionOptions) {
+    for (const targetElement of targetElements) {
+        if (!('value' in targetElement)) {
+            console.warn('Cannot set the value of an element that is not a form control:', targetElement);
+            continue;
+        }
+        targetElement.value = actionOptions.valueSet;
+    }
+}
+
+/**
+ * Gets the body of the request of the verb `fetch`, from the value of the option `fetchBody`:
+ *  - a JSON object or array (e.g. '{"id": 1}'), which is sent as application/json.
+ *  - 'form', to send the closest form to the element (as multipart/form-data).
+ *  - a selector of a form (e.g. '#myForm'), to send that form.
+ *  - any other value is sent as plain text.
+ * @param {HTMLElement} el The element that defines the action.
+ * @param {string|null} fetchBody The value of the option.
+ * @returns {Object|null} The body ({ body, json, form }), or null if there is no body.
+ */
+function getFetchBody(el, fetchBody) {
+    fetchBody = sanitizeValue(fetchBody);
+    if (fetchBody === null) {
+        return null;
+    }
+    if (typeof fetchBody !== 'string') {
+        return { body: JSON.stringify(fetchBody), json: fetchBody };
+    }
+    if (/^[\[{]/.test(fetchBody)) {
+        return { body: fetchBody, json: JSON.parse(fetchBody) };
+    }
+
+    let form = null;
+    if (fetchBody === 'form') {
+        form = el.closest('form');
+    } else {
+        try {
+            form = document.querySelector(fetchBody);
+        } catch (error) {
+            // It is not a selector, so it is sent as text
+        }
+    }
+    if (form && form.tagName === 'FORM') {
+        return { body: new FormData(form), form: form };
+    }
+    if (fetchBody === 'form') {
+        console.warn('There is no form to send in the request', el);
+        return null;
+    }
+    return { body: fetchBody };
+}
+
+/**
+ * Gets the value of a field of an object, using a dotted path (e.g. 'data.items.0.name').
+ * @param {Object} object The object.
+ * @param {string|null} path The path of the field; if null, the object itself is returned.
+ * @returns {any} The value of the field (or undefined, if it does not exist).
+ */
+function getFieldValue(object, path) {
+    path = sanitizeValue(path);
+    if (path === null) {
+        return object;
+    }
+    return path.split('.').reduce((value, key) => (value === null || value === undefined) ? undefined : value[key], object);
+}
+
+/**
+ * Makes an HTTP request and puts the response into the options of the verb `content`, so that it is injected into the
+ *  target elements (the verb `fetch`). If the request fails or the response is an HTTP error, the action fails (the
+ *  error has the `status` and the `response` of the request, if there was a response).
+ * @param {HTMLElement[]} targetElements The target elements of the action.
+ * @param {Object} actionOptions The options of the action.
+ * @param {HTMLElement} el The element that defines the action.
+ * @returns {Promise<boolean|undefined>} False if the request could not be prepared or it was aborted.
+ * @throws {Error} If the request failed or the response is an HTTP error.
+ */
+async function applyFetch(targetElements, actionOptions, el, context = {}) {
+    let url = sanitizeValue(actionOptions.fetchUrl);
+    if (url === null) {
+        return;
+    }
+    const method = (sanitizeValue(actionOptions.fetchMethod) || 'GET').toUpperCase();
+
+    let headers = {};
+    let body = null;
+    try {
+        headers = Object.assign(headers, parseJSONOption(actionOptions.fetchHeaders) || {});
+        body = getFetchBody(el, actionOptions.fetchBody);
+    } catch (error) {
+        console.error(`Error preparing the request to "${url}":`, error);
+        return false;
+    }
+
+    const request = { method: method, headers: headers, signal: context.signal || null };
+    if (body !== null) {
+        if (['GET', 'HEAD'].includes(method)) {
+            // The requests without body send the data in the query string
+            if (body.form || (body.json && typeof body.json === 'object' && !Array.isArray(body.json))) {
+                const params = new URLSearchParams(body.form ? body.body : body.json);
+                url += (url.includes('?') ? '&' : '?') + params.toString();
+            } else {
+                console.warn(`The body cannot be sent in a ${method} request to "${url}"`);
+            }
+        } else {
+            request.body = body.body;
+            if (body.json !== undefined && !Object.keys(headers).some(header => header.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/json';
+            }
+        }
+    }
+
+    let response;
+    let value;
+    try {
+        response = await fetch(url, request);
+        if (!response.ok) {
+            const error = new Error(`The request to "${url}" failed with status ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            error.response = response;
+            throw error;
+        }
+
+        const responseType = sanitizeValue(actionOptions.fetchResponse) || 'html';
+        if (responseType === 'json') {
+            value = getFieldValue(await response.json(), actionOptions.fetchField);
+            if (value !== null && typeof value === 'object') {
+                value = JSON.stringify(value);
+            }
+        } else {
+            value = await response.text();
+            if (responseType === 'text') {
+                actionOptions.contentMethod = 'textContent';
+            }
+        }
+    } catch (error) {
+        // If the chain of actions was stopped, the request was aborted on purpose
+        if (context.signal && context.signal.aborted) {
+            return false;
+        }
+        throw error;
+    }
+
+    // Now we put the response into the content options, so that the verb content injects it into the targets
+    const into = sanitizeValue(actionOptions.fetchInto) || 'set';
+    value = (value === null || value === undefined) ? '' : String(value);
+    switch (into) {
+        case 'set':
+            actionOptions.contentClear = true;
+            actionOptions.contentSet = value;
+            break;
+        case 'append':
+            actionOptions.contentAppend = value;
+            break;
+        case 'prepend':
+            actionOptions.contentPrepend = value;
+            break;
+        case 'none':
+            break;
+        default:
+            console.warn(`Invalid fetch-into value: ${into}`);
+    }
+}
+
+// The built-in action verbs
+registerAction('fetch', {
+    order: 50,
+    options: {
+        fetchUrl: null, // The URL to make the request to; the response is put into the targets through the content options (see fetchInto)
+        fetchMethod: 'GET', // The HTTP method of the request
+        fetchBody: null, // The body of the request: a JSON object, 'form' (the closest form to the element) or the selector of a form
+        fetchHeaders: null, // The headers of the request, as a JSON object (e.g. '{"X-Requested-With": "XMLHttpRequest"}')
+        fetchResponse: 'html', // How to read the response: 'html', 'text' (injected as textContent) or 'json' (see fetchField)
+        fetchField: null, // The field of the JSON response to inject, as a dotted path (e.g. 'data.html'); if not set, the whole response is injected
+        fetchInto: 'set', // How to put the response into the targets: 'set', 'append', 'prepend' or 'none'
+    },
+    apply: applyFetch,
+});
+
+registerAction('class', {
+    order: 100,
+    options: {
+        classAdd: null, // The classes to add to the target elements
+        classRemove: null, // The classes to remove from the target elements
+        classToggle: null, // The classes to toggle on the target elements
+        classSet: null, // The classes to set on the target elements (removes all existing classes)
+    },
+    apply: applyClasses,
+});
+
+registerAction('attr', {
+    order: 110,
+    options: {
+        attrSet: null, // The attributes to set on the target elements, separated by semicolons (e.g. "aria-expanded=true; title=Hello")
+        attrRemove: null, // The attributes to remove from the target elements, separated by spaces
+        attrToggle: null, // The attributes to toggle on the target elements, separated by spaces
+    },
+    apply: applyAttributes,
+});
+
+registerAction('prop', {
+    order: 120,
+    options: {
+        propSet: null, // The properties to set on the target elements, separated by semicolons (e.g. "disabled=true; checked=false")
+    },
+    apply: applyProperties,
+});
+
+registerAction('style', {
+    order: 130,
+    options: {
+        styleSet: null, // The inline styles to set on the target elements, separated by semicolons (e.g. "display:none; opacity:.5")
+    },
+    apply: applyStyles,
+});
+
+registerAction('value', {
+    order: 140,
+    options: {
+        valueSet: null, // The value to set on the target elements (form controls)
+    },
+    apply: applyValue,
+});
+
+registerAction('content', {
+    order: 200,
+    options: {
+        contentMethod: 'innerHTML', // The method to set the content of the target elements (innerHTML or textContent)
+        contentSet: null, // If set, sets the content of the target elements to this value (innerHTML)
+        contentAppend: null, // If set, appends this value to the content of the target elements (innerHTML)
+        contentPrepend: null, // If set, prepends this value to the content of the target elements (innerHTML)
+        contentClear: null, // If set to true, clears the content of the target elements before applying any other content changes
+    },
+    apply: applyContentChanges,
+});
+
+registerAction('scroll', {
+    order: 300,
+    options: {
+        scrollTo: null, // If set, scrolls the target elements to 'top', 'bottom', 'left' or 'right'
+    },
+    apply: applyScroll,
+});
+
+/**
+ * Checks whether the value of the splash option means that no splash dialog has to be shown (i.e. it is empty, 'false'
+ *  or '0'), so the splash dialog of the previous actions (if any) has to be hidden.
+ * @param {any} splash The value of the splash option.
+ * @returns {boolean} True if no splash dialog has to be shown.
+ */
+function isSplashCleared(splash) {
+    return splash === null || splash === undefined || splash === "" || splash === 'false' || splash === '0' || splash === false;
+}
+
+/**
+ * Creates the controller of the splash dialog of a chain of actions, which makes sure that only one splash dialog is
+ *  shown at a time, and that it is not shown again if the content does not change.
+ * @param {Function|null} onCancel The function to call if the user cancels the splash dialog (i.e. if it has a cancel button).
+ * @returns {Object} The controller ({ show(content, cancelText), hide() }).
+ */
+function createSplashController(onCancel = null) {
+    let splashDlg = null;
+    let splashContent = null;
+    return {
+        show(content, cancelText = null) {
+            const key = `${content}\n${cancelText}`;
+            if (splashDlg && splashContent === key) {
+                return;
+            }
+            this.hide();
+            splashDlg = splashDialog(content, null, cancelText, cancelText === null ? null : () => {
+                // The dialog closes itself
+                splashDlg = null;
+                splashContent = null;
+                if (onCancel) {
+                    onCancel();
+                }
+            });
+            splashContent = key;
+        },
+        hide() {
+            if (splashDlg && typeof splashDlg.hide === 'function') {
+                splashDlg.hide();
+            }
+            splashDlg = null;
+            splashContent = null;
+        },
+    };
+}
+
+/**
+ * Marks the element as busy (or not) while its chains of actions are running: it gets aria-busy, the busy class and,
+ *  if it is a button and busyDisabled is set, the disabled attribute. As several chains may be running at the same time,
+ *  the element is not busy anymore when all of them have ended, and then its previous state is restored (but for the
+ *  attributes that the chains have changed meanwhile, e.g. a button that disables itself, which are kept).
+ * @param {HTMLElement} el The element.
+ * @param {Object} handlerOptions The options of the handler of the element (see DEFAULT_OPTIONS_HANDLER).
+ * @param {boolean} busy True when a chain starts, and false when it ends.
+ */
+function setEventActionsBusy(el, handlerOptions, busy) {
+    if (!handlerOptions.busy) {
+        return;
+    }
+
+    if (busy) {
+        if (el._eventActionsBusy) {
+            el._eventActionsBusy.count++;
+            return;
+        }
+
+        const isButton = el.tagName === 'BUTTON' || (el.tagName === 'INPUT' && [ 'button', 'submit', 'reset', 'image' ].includes((el.type || '').toLowerCase()));
+        const disable = handlerOptions.busyDisabled && isButton && !el.disabled && ![ 'queue', 'restart' ].includes(handlerOptions.concurrency);
+        const busyClass = sanitizeValue(handlerOptions.busyClass || null);
+        el._eventActionsBusy = {
+            count: 1,
+            ariaBusy: el.getAttribute('aria-busy'),
+            busyClass: busyClass && !el.classList.contains(busyClass) ? busyClass : null,
+            disabled: disable,
+        };
+        el.setAttribute('aria-busy', 'true');
+        if (el._eventActionsBusy.busyClass) {
+            el.classList.add(el._eventActionsBusy.busyClass);
+        }
+        if (disable) {
+            el.disabled = true;
+        }
+
+        // The changes of the attributes made by the chains (once the element is marked) are recorded
+        if (typeof MutationObserver === 'function') {
+            const state = el._eventActionsBusy;
+            state.changed = new Set();
+            state.observer = new MutationObserver(records => records.forEach(record => state.changed.add(record.attributeName)));
+            state.observer.observe(el, { attributes: true, attributeFilter: [ 'aria-busy', 'disabled' ] });
+        }
+    } else if (el._eventActionsBusy && --el._eventActionsBusy.count === 0) {
+        const state = el._eventActionsBusy;
+        delete el._eventActionsBusy;
+        const changed = state.changed || new Set();
+        if (state.observer) {
+            state.observer.takeRecords().forEach(record => changed.add(record.attributeName));
+            state.observer.disconnect();
+        }
+        if (!changed.has('aria-busy')) {
+            if (state.ariaBusy === null) {
+                el.removeAttribute('aria-busy');
+            } else {
+                el.setAttribute('aria-busy', state.ariaBusy);
+            }
+        }
+        if (state.busyClass) {
+            el.classList.remove(state.busyClass);
+        }
+        if (state.disabled && !changed.has('disabled')) {
+            el.disabled = false;
+        }
+    }
+}
+
+/**
+ * Runs the chains of actions of the elements that match the selector (as sub-chains of the chain of the action), one
+ *  after the other, and stops at the first one that is cancelled. The chains that are already being run (i.e. those
+ *  that would cause a cycle) are not run, and count as cancelled.
+ * @param {HTMLElement} el The element of the action that triggers the other elements.
+ * @param {string} selector The selector of the elements to trigger.
+ * @param {string|null} prefix The prefix of the chains to run (if null, the prefix of the current chain is used).
+ * @param {Object} context The context of the action (see executeAction).
+ * @returns {Promise<boolean>} True if all the chains were completed, or false if any of them was cancelled.
+ */
+async function triggerEventActions(el, selector, prefix, context) {
+    const chain = context.chain || [];
+    prefix = prefix || (chain.length > 0 ? chain[chain.length - 1].prefix : 'ca');
+
+    let elements = [];
+    try {
+        elements = [ ...document.querySelectorAll(selector) ];
+    } catch (error) {
+        console.warn(`Error selecting elements with selector "${selector}"`, error);
+        return false;
+    }
+
+    for (const triggered of elements) {
+        if (chain.some(running => running.el === triggered && running.prefix === prefix)) {
+            console.warn(`The ${getAttributeName(context.prefix || null, 'trigger')} "${selector}" would run a chain of actions that is already running (${prefix}), so it is cancelled`, triggered);
+            return false;
+        }
+        if (chain.length >= MAX_TRIGGER_DEPTH) {
+            console.warn(`The ${getAttributeName(context.prefix || null, 'trigger')} "${selector}" exceeds the maximum depth of nested chains of actions (${MAX_TRIGGER_DEPTH}), so it is cancelled`, triggered);
+            return false;
+        }
+        if (!await runEventActions(triggered, context.event || null, null, prefix, context)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Parses the name of a step of a chain of actions (e.g. in data-ca-steps or data-ca-1-next): the numbered steps are
+ *  converted to numbers (so '0' is the base action), and the rest are kept as names.
+ * @param {string} step The name of the step.
+ * @returns {number|string} The step.
+ */
+function parseStepName(step) {
+    return /^\d+$/.test(step) ? parseInt(step, 10) : step;
+}
+
+/**
+ * Gets the steps of the chain of actions of the element, in order: the base action (0), followed by the steps in
+ *  data-<prefix>-steps (if set), or by the numbered steps that the element defines, in ascending order (there may be
+ *  gaps in the numbering, e.g. 10, 20, 30). The named steps that are not in data-<prefix>-steps are only run when a
+ *  step branches to them (see runEventActions).
+ * @param {HTMLElement} el The element that defines the actions.
+ * @param {string} prefix The prefix for the data attributes.
+ * @param {string|null} steps The value of data-<prefix>-steps.
+ * @returns {Array} The steps (e.g. [ 0, 1, 2, 5 ] or [ 0, 1, 'save' ]).
+ */
+function getChainSteps(el, prefix, steps) {
+    steps = sanitizeValue(steps);
+    if (steps !== null) {
+        return [ 0, ...steps.split(/[\s,]+/).map(parseStepName).filter(step => step !== 0) ];
+    }
+
+    const numbered = new Set();
+    const pattern = new RegExp(`^data-${prefix}-(\\d+)-`);
+    for (const attribute of el.attributes) {
+        const match = attribute.name.match(pattern);
+        if (match) {
+            numbered.add(parseInt(match[1], 10));
+        }
+    }
+    numbered.delete(0);
+    return [ 0, ...[ ...numbered ].sort((a, b) => a - b) ];
+}
+
+/**
+ * Runs the chain of actions defined in the given element for the given prefix: the base action (data-<prefix>-*), the
+ *  numbered or named steps (data-<prefix>-1-*, data-<prefix>-2-*, data-<prefix>-save-*, ...), the -last action, the
+ *  -catch action (only if an action failed) and the -finally action. Then the inline handler of the element for the
+ *  event type (if any) is called.
+ *
+ *  The steps are run in the order given by getChainSteps, but each step can branch to another one: to the step in its
+ *  `next` option after it is executed, to the step in its `else` option if its condition is not met (or its pollUntil
+ *  times out), or to the step in its `onCancel` option if the user cancels its confirmation or its prompt (then the
+ *  chain is not stopped). If a step fails, the chain stops and runs its -catch action, unless the `onError` option of
+ *  the step ignores the error or branches to another step. After a step, the chain continues with the step that follows it in the order (if the step is
+ *  not in the order, the chain ends).
+ * @param {HTMLElement} el The element that defines the actions.
+ * @param {Event} event The event that triggered the actions.
+ * @param {string|null} eventType The event type (used to find the inline handler; if null, no inline handler is called).
+ * @param {string} prefix The prefix for the data attributes.
+ * @param {Object|null} parent The context of the action that triggered this chain, if it is run as a sub-chain (see
+ *  triggerEventActions); the sub-chain shares the splash dialog and the signal of its parent, but it has its own variables.
+ * @param {AbortController|null} controller The controller that stops the chain (if not set, a new one is created);
+ *  when the chain is stopped, its pending delays and requests are interrupted, and the numbered and -last actions are
+ *  skipped, but the -finally action is run. The sub-chains are stopped with the controller of their parent.
+ * @returns {Promise<boolean>} True if the chain was completed, or false if it was cancelled.
+ */
+async function runEventActions(el, event, eventType, prefix, parent = null, controller = null) {
+    // Other code can veto the chain of actions
+    if (!dispatchLifecycleEvent(el, 'before', { prefix: prefix }, { event: event }, true)) {
+        return false;
+    }
+
+    // Check the condition (if any) and execute the action
+    let conditionMet = true;
+
+    // The last error of the actions of the chain (available to the next steps), and whether it stopped the chain (then
+    //  the -catch action is run)
+    let error = undefined;
+    let failed = false;
+
+    // The chain can be stopped using its controller (e.g. with EventActions.cancel, or the cancel button of the splash)
+    controller = parent ? null : (controller || new AbortController());
+    const signal = parent ? (parent.signal || null) : controller.signal;
+    const aborted = () => signal !== null && signal.aborted;
+    if (controller) {
+        el._eventActionsRuns = el._eventActionsRuns || new Set();
+        el._eventActionsRuns.add(controller);
+    }
+
+    // The spinner (if any)
+    const splash = parent ? parent.splash : createSplashController(() => controller.abort());
+
+    // The element is busy until the chain ends
+    const handlerOptions = getElementOptions(el, EventActions.defaultHandlerOptions, prefix);
+    setEventActionsBusy(el, handlerOptions, true);
+
+    // The variables shared by all the actions of the chain, and the targets whose state may be saved when it ends
+    const vars = {};
+    const chainTargets = new Set();
+    const chain = [ ...(parent && parent.chain ? parent.chain : []), { el: el, prefix: prefix } ];
+    const stepContext = (stepPrefix, step) => ({
+        prefix: stepPrefix,
+        step: step,
+        splash: splash,
+        event: event,
+        vars: vars,
+        error: error,
+        signal: step === 'finally' ? null : signal, // The -finally action is run even if the chain was stopped
+        chain: chain,
+        chainTargets: chainTargets,
+    });
+
+    // Executes one step of the chain and notifies its result
+    const executeStep = async (options, context) => {
+        const result = await executeAction(el, options, context);
+        dispatchLifecycleEvent(el, 'step', context, { result: result });
+        return result;
+    };
+
+    // Gets the step to branch to (if any), from the value of an option (e.g. next); 'end' finishes the chain
+    const getBranch = (options, option, stepPrefix) => {
+        const target = sanitizeValue(options[option] || null);
+        if (target === null) {
+            return undefined;
+        }
+        if (target === 'end') {
+            return null;
+        }
+        if ([ 'last', 'catch', 'finally' ].includes(target)) {
+            console.warn(`Invalid ${getAttributeName(stepPrefix, option)} "${target}": the -last, -catch and -finally actions cannot be branched to`);
+            return undefined;
+        }
+        return parseStepName(target);
+    };
+
+    // The end of the chain (i.e. the -finally action, hiding the splash, clearing the busy state and notifying that the
+    //  chain is done) is guaranteed, even if an action throws an unexpected error
+    let settled = false;
+    try {
+        try {
+            // Now we run the steps of the chain, in order (unless they branch to other steps)
+            const steps = getChainSteps(el, prefix, handlerOptions.steps);
+            let step = steps[0];
+            let stepCount = 0;
+            while (step !== null && conditionMet && !aborted()) {
+                const stepPrefix = step === 0 ? prefix : `${prefix}-${step}`;
+                let options = getElementOptions(el, EventActions.defaultActionOptions, stepPrefix, true);
+                const position = steps.indexOf(step);
+                const following = position === -1 || position === steps.length - 1 ? null : steps[position + 1];
+                if (!options || Object.keys(options).length === 0) {
+                    // The base action is optional, but the rest of the steps must exist
+                    if (step !== 0) {
+                        console.warn(`The step "${step}" of the chain of actions "${prefix}" does not exist`, el);
+                        conditionMet = false;
+                        break;
+                    }
+                    step = following;
+                    continue;
+                }
+
+                if (++stepCount > MAX_CHAIN_STEPS) {
+                    console.warn(`The chain of actions "${prefix}" has run more than ${MAX_CHAIN_STEPS} steps, so it is stopped (is there a loop in its steps?)`, el);
+                    conditionMet = false;
+                    break;
+                }
+
+                const clearSplash = isSplashCleared(options.splash);
+                options = Object.assign({}, EventActions.defaultActionOptions, options || {});
+                const context = stepContext(stepPrefix, step);
+                let branch = undefined;
+                if (await executeStep(options, context)) {
+                    branch = getBranch(options, 'next', stepPrefix);
+                } else if ([ 'condition', 'timeout', 'confirm', 'prompt' ].includes(context.cancelled)) {
+                    branch = getBranch(options, [ 'confirm', 'prompt' ].includes(context.cancelled) ? 'onCancel' : 'else', stepPrefix);
+                    conditionMet = branch !== undefined;
+                } else if (context.cancelled === 'error') {
+                    // The error stops the chain, unless the action ignores it (then the chain continues with the next step) or
+                    //  branches to another step
+                    error = context.error;
+                    if (sanitizeValue(options.onError || null) !== 'ignore') {
+                        branch = getBranch(options, 'onError', stepPrefix);
+                        failed = branch === undefined;
+                        conditionMet = !failed;
+                    }
+                } else {
+                    conditionMet = false;
+                }
+                if (clearSplash) {
+                    splash.hide();
+                }
+                step = branch !== undefined ? branch : following;
+            }
+
+            // If the chain was stopped, the rest of the actions are skipped (but the -finally action)
+            if (conditionMet && aborted()) {
+                conditionMet = false;
+                dispatchLifecycleEvent(el, 'cancelled', { prefix: prefix }, { reason: 'abort' });
+            }
+
+            if (conditionMet) {
+                // Now search the -last action (if any)
+                let options = getElementOptions(el, EventActions.defaultActionOptions, `${prefix}-last`, true);
+                if (options && Object.keys(options).length > 0) {
+                    options = Object.assign({}, EventActions.defaultActionOptions, options || {});
+                    const context = stepContext(`${prefix}-last`, 'last');
+                    if (!await executeStep(options, context) && context.cancelled === 'error') {
+                        error = context.error;
+                        failed = sanitizeValue(options.onError || null) !== 'ignore';
+                        conditionMet = !failed;
+                    }
+
+                    if (options.splash === null) {
+                        splash.hide();
+                    }
+                }
+            }
+
+            // If an action failed, the -catch action (if any) is executed, with the error
+            if (failed) {
+                let options = getElementOptions(el, EventActions.defaultActionOptions, `${prefix}-catch`, true);
+                if (options && Object.keys(options).length > 0) {
+                    options = Object.assign({}, EventActions.defaultActionOptions, options || {});
+                    await executeStep(options, stepContext(`${prefix}-catch`, 'catch'));
+
+                    if (options.splash === null) {
+                        splash.hide();
+                    }
+                }
+            }
+        } finally {
+            // If there is a -finally action, we execute it always
+            let options = getElementOptions(el, EventActions.defaultActionOptions, `${prefix}-finally`, true);
+            if (options && Object.keys(options).length > 0) {
+                options = Object.assign({}, EventActions.defaultActionOptions, options || {});
+                await executeStep(options, stepContext(`${prefix}-finally`, 'finally'));
+
+                if (options.splash === null) {
+                    splash.hide();
+                }
+            }
+        }
+        settled = true;
+    } finally {
+        // We close the splash dialog (if any), unless it belongs to the chain that triggered this one, and the element is
+        //  not busy anymore
+        if (!parent) {
+            splash.hide();
+        }
+        setEventActionsBusy(el, handlerOptions, false);
+
+        // If there is an inline handler, we call it now (once the element is not busy), but only if all conditions were
+        //  met (if any condition was not met, the inline handler is not called)
+        if (settled && conditionMet && eventType && el._eventActions && el._eventActions[eventType]) {
+            try {
+                el._eventActions[eventType].bind(el)(event);
+            } catch (error) {
+                console.error(`Error in the inline handler of the element for the event "${eventType}":`, error);
+            }
+        }
+
+        // If the element has a persist key, we save the resulting state of the targets (once they are not busy)
+        if (settled) {
+            saveEventActionsState(el, prefix, [ ...chainTargets ]);
+        }
+
+        if (controller) {
+            el._eventActionsRuns.delete(controller);
+            if (el._eventActionsRuns.size === 0) {
+                delete el._eventActionsRuns;
+            }
+        }
+
+        dispatchLifecycleEvent(el, 'done', { prefix: prefix, vars: vars }, { completed: settled && conditionMet });
+    }
+
+    return conditionMet;
+}
+
+/**
+ * Stops the chains of actions that are running in the element (their pending delays and requests are interrupted, and
+ *  the rest of their actions are skipped, but the -finally actions), and discards the runs that are pending because of
+ *  the debounce, the throttle or the queue of the element.
+ * @param {HTMLElement} el The element.
+ * @returns {boolean} True if any chain (running or pending) was cancelled.
+ */
+function cancelEventActions(el) {
+    if (!el) return false;
+
+    let cancelled = false;
+    for (const timing of Object.values(el._eventActionsTiming || {})) {
+        if (timing.timeout !== null) {
+            clearTimeout(timing.timeout);
+            timing.timeout = null;
+            cancelled = true;
+        }
+        cancelled = cancelled || timing.queue.length > 0;
+        timing.pending = null;
+        timing.queue = [];
+    }
+    for (const controller of el._eventActionsRuns || []) {
+        controller.abort();
+        cancelled = true;
+    }
+    return cancelled;
+}
+
+/**
+ * Stores the inline handler of the element for the given event type (if any) and removes it, because we want to make
+ *  it run after the event actions.
+ * @param {HTMLElement} el The element.
+ * @param {string} eventType The event type.
+ */
+function stashInlineHandler(el, eventType) {
+    el._eventActions = el._eventActions || {};
+    if (!(eventType in el._eventActions)) {
+        el._eventActions[eventType] = el[`on${eventType}`] || null;
+        el[`on${eventType}`] = null;
+    }
+}
+
+/**
+ * Gets the state of the timers of the handler of the element for the given event type and prefix.
+ * @param {HTMLElement} el The element.
+ * @param {string} eventType The event type.
+ * @param {string} prefix The prefix for the data attributes.
+ * @returns {Object} The state ({ timeout, pending, running, completed, queue, controller }).
+ */
+function getEventActionsTiming(el, eventType, prefix) {
+    el._eventActionsTiming = el._eventActionsTiming || {};
+    const key = `${eventType}:${prefix}`;
+    el._eventActionsTiming[key] = el._eventActionsTiming[key] || { timeout: null, pending: null, running: false, completed: false, queue: [], controller: null };
+    return el._eventActionsTiming[key];
+}
+
+/**
+ * Checks whether the element still attends the event, i.e. it is not set to run once (data-<prefix>-once) or its chain
+ *  of actions has not been completed yet. If it does not, the event must be left alone (as if there was no listener).
+ * @param {HTMLElement} el The element that defines the actions.
+ * @param {string} eventType The event type.
+ * @param {string} prefix The prefix for the data attributes.
+ * @returns {boolean} True if the element attends the event.
+ */
+function isAttendingEventActions(el, eventType, prefix) {
+    const options = getElementOptions(el, EventActions.defaultHandlerOptions, prefix);
+    return !(options.once && getEventActionsTiming(el, eventType, prefix).completed);
+}
+
+/**
+ * Schedules the chain of actions of the element for the event, according to the options of its handler (i.e.
+ *  data-<prefix>-debounce, data-<prefix>-throttle, data-<prefix>-once and data-<prefix>-concurrency): the chain is run
+ *  now, later (with the last event), or not at all.
+ * @param {HTMLElement} el The element that defines the actions.
+ * @param {Event} event The event that happened.
+ * @param {string} eventType The event type.
+ * @param {string} prefix The prefix for the data attributes.
+ */
+function scheduleEventActions(el, event, eventType, prefix) {
+    const options = getElementOptions(el, EventActions.defaultHandlerOptions, prefix);
+    const timing = getEventActionsTiming(el, eventType, prefix);
+
+    // The errors of the chains are not expected (the actions catch theirs), but they must not be left unhandled
+    const start = function (event) {
+        run(event).catch(error => console.error(`Error running the chain of actions "${prefix}":`, error));
+    };
+
+    const run = async function (event) {
+        // An element that runs once does not start another chain while the first one is running
+        if (options.once && (timing.completed || timing.running)) {
+            return;
+        }
+        if (timing.running) {
+            switch (options.concurrency) {
+                case 'drop':
+                    return;
+                case 'queue':
+                    timing.queue.push(event);
+                    return;
+                case 'restart':
+                    // The current chain is stopped, and the new one is run as soon as it ends
+                    timing.queue = [ event ];
+                    timing.controller.abort();
+                    return;
+                case 'parallel':
+                    // The chains that are run in parallel are not tracked
+                    await runEventActions(el, event, eventType, prefix);
+                    return;
+                default:
+                    console.warn(`Invalid value "${options.concurrency}" for ${getAttributeName(prefix, 'concurrency')}: it must be 'parallel', 'drop', 'queue' or 'restart'`);
+                    return;
+            }
+        }
+
+        timing.running = true;
+        try {
+            while (true) {
+                timing.controller = new AbortController();
+                if (await runEventActions(el, event, eventType, prefix, null, timing.controller)) {
+                    timing.completed = true;
+                }
+                if ((options.once && timing.completed) || timing.queue.length === 0) {
+                    break;
+                }
+                event = timing.queue.shift();
+            }
+        } finally {
+            timing.running = false;
+            timing.controller = null;
+            timing.queue = [];
+        }
+    };
+
+    const debounce = parseFloat(options.debounce) || 0;
+    const throttle = parseFloat(options.throttle) || 0;
+    if (debounce > 0) {
+        clearTimeout(timing.timeout);
+        timing.timeout = setTimeout(() => {
+            timing.timeout = null;
+            start(event);
+        }, debounce);
+    } else if (throttle > 0) {
+        // When the throttle period ends, the last event (if any) is run and starts a new period
+        const endThrottle = function () {
+            const pending = timing.pending;
+            timing.pending = null;
+            timing.timeout = null;
+            if (pending) {
+                timing.timeout = setTimeout(endThrottle, throttle);
+                start(pending);
+            }
+        };
+        if (timing.timeout === null) {
+            timing.timeout = setTimeout(endThrottle, throttle);
+            if (options.throttleLeading) {
+                start(event);
+            } else if (options.throttleTrailing) {
+                timing.pending = event;
+            }
+        } else if (options.throttleTrailing) {
+            timing.pending = event;
+        }
+    } else {
+        start(event);
+    }
+}
+
+/**
+ * Adds event actions to the given element for the given event type.
+ * @param {HTMLElement} el The element to add the event actions to.
+ * @param {string} eventType The event type to listen for (default: 'click').
+ * @param {string} prefix The prefix for the data attributes (default: 'ca' for click-action, 'sa' for scroll-action).
+ */
+function addEventActions(el, eventType = 'click', prefix = 'ca') {
+    if (!el) return;
+    if (el._eventActions && el._eventActions.handlers && el._eventActions.handlers[eventType]) return; // Already available
+
+    // We store the existing onclick handler (if any) and remove it because we want to make it run after the event actions
+    stashInlineHandler(el, eventType);
+
+    function actionHandler(el, prefix) {
+        let handler = function(event) {
+            if (!isAttendingEventActions(el, eventType, prefix)) {
+                return;
+            }
+            const trigger = getTriggerOptions(eventType, prefix);
+            if (trigger.preventDefault) {
+                event.preventDefault();
+            }
+            if (trigger.stopPropagation) {
+                event.stopPropagation();
+            }
+            scheduleEventActions(el, event, eventType, prefix);
+        };
+        return handler;
+    }    
+
+    function addHandler(el, eventType, handler) {
+        el.addEventListener(eventType, handler);
+        el._eventActions.handlers = el._eventActions.handlers || {};
+        el._eventActions.handlers[eventType] = handler;        
+    }
+
+    addHandler(el, eventType, actionHandler(el, prefix));
+
+    // Some triggers also need to bind the element (e.g. to observe it, so that the event is dispatched to it)
+    const trigger = getTriggerOptions(eventType, prefix);
+    if (typeof trigger.bind === 'function') {
+        trigger.bind(el, prefix);
+    }
+}
+
+/**
+ * Delegates the event actions for the given event type to the given root: instead of adding one listener to each
+ *  element, a single listener is added to the root and, when the event happens, the closest element to the target that
+ *  has data-<prefix>-* attributes runs its chain of actions.
+ *
+ *  (*) the listener is added in the capture phase, so that the inline handler of the element can be stored before the
+ *      event reaches it, and run after the event actions (as in the case of addEventActions).
+ * @param {HTMLElement|Document} root The element to add the listener to (default: document).
+ * @param {string} eventType The event type to listen for (default: 'click').
+ * @param {string} prefix The prefix for the data attributes (default: 'ca').
+ */
+function delegateEventActions(root = document, eventType = 'click', prefix = 'ca') {
+    if (!root) return;
+    // The listeners are indexed by event type and prefix, because several triggers may attend the same event type
+    const key = `${eventType}:${prefix}`;
+    if (root._eventActionsDelegated && root._eventActionsDelegated[key]) return; // Already available
+
+    const listener = function (event) {
+        if (!event.target || typeof event.target.closest !== 'function') return;
+
+        // The selector is obtained now (it is cached), because new options may have been added by the action verbs
+        const selector = getEventActionsSelector(prefix);
+
+        // The events that do not bubble (e.g. scroll or mouseenter) are dispatched to the element itself, so we must not
+        //  look for the ancestors of the target
+        const el = event.bubbles ? event.target.closest(selector) : (event.target.matches(selector) ? event.target : null);
+        if (!el || !root.contains(el)) return;
+
+        // The elements that have their own listener are managed by it
+        if (el._eventActions && el._eventActions.handlers && el._eventActions.handlers[eventType]) return;
+
+        if (!isAttendingEventActions(el, eventType, prefix)) return;
+
+        const trigger = getTriggerOptions(eventType, prefix);
+        if (trigger.preventDefault) {
+            event.preventDefault();
+        }
+        if (trigger.stopPropagation) {
+            // The propagation is stopped once the event reaches the element, as if the listener had been added to the element
+            const stopPropagation = function (e) {
+                el.removeEventListener(eventType, stopPropagation);
+                if (e === event) {
+                    e.stopPropagation();
+                }
+            };
+            el.addEventListener(eventType, stopPropagation);
+        }
+
+        stashInlineHandler(el, eventType);
+        scheduleEventActions(el, event, eventType, prefix);
+    };
+
+    root.addEventListener(eventType, listener, true);
+    root._eventActionsDelegated = root._eventActionsDelegated || {};
+    root._eventActionsDelegated[key] = { eventType: eventType, prefix: prefix, listener: listener };
+
+    // The triggers that bind the elements (e.g. to observe them) need to bind the elements that are already in the root,
+    //  and the ones added later (see handleDelegatedMutations)
+    const trigger = getTriggerOptions(eventType, prefix);
+    if (typeof trigger.bind === 'function') {
+        root.querySelectorAll(getEventActionsSelector(prefix)).forEach(el => trigger.bind(el, prefix));
+        if (!root._eventActionsDelegatedObserver) {
+            root._eventActionsDelegatedObserver = new MutationObserver(mutations => handleDelegatedMutations(root, mutations));
+            root._eventActionsDelegatedObserver.observe(root, { childList: true, subtree: true, attributes: true });
+        }
+    }
+}
+
+/**
+ * Delegates to the document the event actions of the triggers that the elements in the given root (including the root
+ *  itself) use, and that are not delegated yet. The triggers that no element uses are not delegated, so that their
+ *  events (e.g. mouseenter or scroll, which happen very often) are not listened to in vain.
+ * @param {HTMLElement|Document} root The element in which to look for the elements (default: document).
+ */
+function delegateUsedTriggers(root = document) {
+    for (const prefix in EVENT_TRIGGERS) {
+        const eventType = EVENT_TRIGGERS[prefix].eventType;
+        if (document._eventActionsDelegated && document._eventActionsDelegated[`${eventType}:${prefix}`]) {
+            continue;
+        }
+        const selector = getEventActionsSelector(prefix);
+        if ((root.matches && root.matches(selector)) || root.querySelector(selector)) {
+            delegateEventActions(document, eventType, prefix);
+        }
+    }
+}
+
+/**
+ * Handles the mutations of a root with delegated event actions, for the triggers that bind the elements (e.g. the
+ *  visibility triggers, which observe them so that the event is dispatched at all): the elements added are bound, the
+ *  elements removed are released and the elements whose data attributes have changed are bound or released depending
+ *  on whether they still have event actions. The rest of the triggers do not need it, because the delegated listener
+ *  finds the elements when the event happens.
+ * @param {HTMLElement|Document} root The root.
+ * @param {MutationRecord[]} mutations The mutations to handle.
+ */
+function handleDelegatedMutations(root, mutations) {
+    const delegations = Object.values(root._eventActionsDelegated || {})
+        .map(delegated => ({ prefix: delegated.prefix, trigger: getTriggerOptions(delegated.eventType, delegated.prefix) }))
+        .filter(delegated => typeof delegated.trigger.bind === 'function');
+
+    for (const { prefix, trigger } of delegations) {
+        const selector = getEventActionsSelector(prefix);
+        const elements = node => [ ...(node.matches(selector) ? [ node ] : []), ...node.querySelectorAll(selector) ];
+        for (const mutation of mutations) {
+            if (mutation.type === 'childList') {
+                for (const node of mutation.removedNodes) {
+                    // If the node has been moved, it is still connected, so we keep it bound
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected && typeof trigger.unbind === 'function') {
+                        elements(node).forEach(el => trigger.unbind(el, prefix));
+                    }
+                }
+                for (const node of mutation.addedNodes) {
+                    if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                        elements(node).forEach(el => trigger.bind(el, prefix));
+                    }
+                }
+            } else if (mutation.type === 'attributes' && mutation.attributeName.startsWith(`data-${prefix}-`)) {
+                if (mutation.target.matches(selector)) {
+                    trigger.bind(mutation.target, prefix);
+                } else if (typeof trigger.unbind === 'function') {
+                    trigger.unbind(mutation.target, prefix);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Removes the delegated event actions from the given root for the given event type (and prefix).
+ * If eventType is not specified, removes all the delegated event actions.
+ * @param {HTMLElement|Document} root The element from which to remove the listener (default: document).
+ * @param {string|null} eventType The event type to remove (default: null, which removes all event types).
+ * @param {string|null} prefix The prefix to remove (default: null, which removes all the prefixes of the event type).
+ */
+function undelegateEventActions(root = document, eventType = null, prefix = null) {
+    if (!root || !root._eventActionsDelegated) return;
+
+    const keys = Object.keys(root._eventActionsDelegated).filter(key => {
+        const delegated = root._eventActionsDelegated[key];
+        return (!eventType || delegated.eventType === eventType) && (!prefix || delegated.prefix === prefix);
+    });
+    if (keys.length !== 1) {
+        keys.forEach(key => {
+            const delegated = root._eventActionsDelegated[key];
+            undelegateEventActions(root, delegated.eventType, delegated.prefix);
+        });
+        return;
+    }
+
+    const delegated = root._eventActionsDelegated[keys[0]];
+    eventType = delegated.eventType;
+    root.removeEventListener(eventType, delegated.listener, true);
+    delete root._eventActionsDelegated[keys[0]];
+    if (Object.keys(root._eventActionsDelegated).length === 0) {
+        delete root._eventActionsDelegated;
+    }
+
+    // If no delegated trigger binds the elements anymore, the added elements do not need to be observed
+    const binding = Object.values(root._eventActionsDelegated || {})
+        .some(other => typeof getTriggerOptions(other.eventType, other.prefix).bind === 'function');
+    if (!binding && root._eventActionsDelegatedObserver) {
+        root._eventActionsDelegatedObserver.disconnect();
+        delete root._eventActionsDelegatedObserver;
+    }
+
+    // We restore the inline handlers that were stored when the events happened (and release the bound elements)
+    const trigger = getTriggerOptions(eventType, delegated.prefix);
+    root.querySelectorAll(getEventActionsSelector(delegated.prefix)).forEach(el => {
+        if (typeof trigger.unbind === 'function') {
+            trigger.unbind(el, delegated.prefix);
+        }
+        if (el._eventActions && !(el._eventActions.handlers && el._eventActions.handlers[eventType])) {
+            removeEventActions(el, eventType);
+        }
+    });
+}
+
+// The triggers that are discovered automatically in the document, indexed by the prefix of the attributes that they attend
+const EVENT_TRIGGERS = {};
+
+// Whether the document has already been loaded (and so the elements have already been discovered)
+let eventActionsLoaded = false;
+
+/**
+ * Registers a trigger, so that the elements that have data-<prefix>-* attributes run their chain of actions when the
+ *  event happens. If the document has already been loaded, the elements that are currently in the document are bound.
+ * @param {string} eventType The event type to listen for (e.g. 'change').
+ * @param {string} prefix The prefix for the data attributes (e.g. 'cha'); it identifies the trigger, so registering a
+ *                        prefix again replaces the previous trigger.
+ * @param {Object} options The options for the trigger (see DEFAULT_OPTIONS_TRIGGER).
+ * @returns {Object} The trigger.
+ */
+function registerTrigger(eventType, prefix, options = {}) {
+    const previous = EVENT_TRIGGERS[prefix];
+    if (previous && previous.eventType !== eventType) {
+        console.warn(`The prefix "${prefix}" was registered for event "${previous.eventType}"; the elements already bound keep attending that event`);
+    }
+
+    const trigger = Object.assign({}, DEFAULT_OPTIONS_TRIGGER, options || {}, { eventType: eventType, prefix: prefix });
+    EVENT_TRIGGERS[prefix] = trigger;
+
+    if (eventActionsLoaded) {
+        if (EventActions.settings.delegate) {
+            delegateUsedTriggers(document);
+        } else {
+            discoverEventActions(document);
+        }
+    }
+    return trigger;
+}
+
+/**
+ * Gets the options of the trigger for the given event type and prefix. If there is no such trigger registered (e.g.
+ *  addEventActions was called for an arbitrary event type), the default options are returned.
+ * @param {string} eventType The event type.
+ * @param {string} prefix The prefix for the data attributes.
+ * @returns {Object} The options of the trigger.
+ */
+function getTriggerOptions(eventType, prefix) {
+    const trigger = EVENT_TRIGGERS[prefix];
+    if (trigger && trigger.eventType === eventType) {
+        return trigger;
+    }
+    return DEFAULT_OPTIONS_TRIGGER;
+}
+
+// The built-in triggers
+registerTrigger('click', 'ca'); // click-action
+registerTrigger('scroll', 'sa'); // scroll-action
+registerTrigger('change', 'cha', { preventDefault: false, stopPropagation: false }); // change-action
+registerTrigger('input', 'ia', { preventDefault: false, stopPropagation: false }); // input-action
+registerTrigger('submit', 'sua', { preventDefault: true, stopPropagation: false }); // submit-action
+registerTrigger('focusin', 'fia', { preventDefault: false, stopPropagation: false }); // focus-in-action
+registerTrigger('focusout', 'foa', { preventDefault: false, stopPropagation: false }); // focus-out-action
+registerTrigger('mouseenter', 'mea', { preventDefault: false, stopPropagation: false }); // mouse-enter-action
+registerTrigger('mouseleave', 'mla', { preventDefault: false, stopPropagation: false }); // mouse-leave-action
+
+// The global settings of the library
+const DEFAULT_SETTINGS = {
+    live: false, // If true, the document is observed when it is loaded, so that the elements added (or modified) later are also bound (see EventActions.observe)
+    delegate: false, // If true, a single listener per trigger (only for the triggers that the elements use) is added to the document instead of one listener per element (see EventActions.delegate)
+    keyboard: true, // If false, the keyboard shortcuts (data-ka-key) are ignored
+    history: true, // If false, the changes of the URL do not run the history actions (data-ha-match)
+    visibility: true, // If false, the elements entering or leaving the viewport do not run their visibility actions (data-va-* and data-vla-*)
+    evaluator: 'eval', // How the expressions (condition, conditionAction and execute) are evaluated: 'eval' (as JavaScript code) or 'strict' (using the built-in expression language, so eval is never called, e.g. for a strict Content-Security-Policy)
+};
+
+/**
+ * Gets the selector that matches the elements that have event actions for the given prefix.
+ *  We are assuming that data-ca-* is equivalent to data-ca-0-*. But we can omit the data-ca-* if we want to only use suffixed:
+ *  data-ca-1-*, data-ca-2-*, etc. The elements whose chain starts with other steps (e.g. data-ca-10-* or named steps)
+ *  must declare their steps (data-ca-steps).
+ * @param {string} prefix The prefix for the data attributes (e.g. 'ca').
+ * @returns {string} The selector.
+ */
+function getEventActionsSelector(prefix) {
+    let selector = EVENT_ACTIONS_SELECTORS.get(prefix);
+    if (selector === undefined) {
+        selector = Object.keys(EventActions.defaultActionOptions).map(opt => `[data-${prefix}-${camelToSnakeCase(opt)}],[data-${prefix}-1-${camelToSnakeCase(opt)}]`).concat(`[data-${prefix}-steps]`).join(',');
+        EVENT_ACTIONS_SELECTORS.set(prefix, selector);
+    }
+    return selector;
+}
+
+/**
+ * Looks for the elements that have event actions in the given root (including the root itself), and adds the event
+ *  actions to them.
+ * @param {HTMLElement|Document} root The element in which to look for the elements (default: document).
+ */
+function discoverEventActions(root = document) {
+    for (const prefix in EVENT_TRIGGERS) {
+        const eventType = EVENT_TRIGGERS[prefix].eventType;
+        const selector = getEventActionsSelector(prefix);
+        if (root.matches && root.matches(selector)) {
+            addEventActions(root, eventType, prefix);
+        }
+        root.querySelectorAll(selector).forEach(el => {
+            addEventActions(el, eventType, prefix);
+        });
+    }
+}
+
+/**
+ * Removes the event actions from the given root and from all its descendants.
+ * @param {HTMLElement} root The element from which to remove the event actions.
+ */
+function releaseEventActions(root) {
+    for (const el of [ root, ...root.querySelectorAll('*') ]) {
+        if (el._eventActions) {
+            removeEventActions(el);
+        }
+    }
+}
+
+// The observer used for the live mode (if any)
+let eventActionsObserver = null;
+
+/**
+ * Handles the mutations of the observed tree: the elements added are bound, the elements removed are released and the
+ *  elements whose data attributes have changed are bound or released depending on whether they still have event actions.
+ * @param {MutationRecord[]} mutations The mutations to handle.
+ */
+function handleEventActionsMutations(mutations) {
+    for (const mutation of mutations) {
+        // In delegated mode, the elements are attended by the delegated listeners, but the triggers that no element used
+        //  before must be delegated
+        if (EventActions.settings.delegate) {
+            const nodes = mutation.type === 'childList' ? [ ...mutation.addedNodes ] : (mutation.attributeName.startsWith('data-') ? [ mutation.target ] : []);
+            nodes.filter(node => node.nodeType === Node.ELEMENT_NODE && node.isConnected).forEach(node => delegateUsedTriggers(node));
+            continue;
+        }
+
+        if (mutation.type === 'childList') {
+            for (const node of mutation.removedNodes) {
+                // If the node has been moved, it is still connected, so we keep its event actions
+                if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                    releaseEventActions(node);
+                }
+            }
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                    discoverEventActions(node);
+                }
+            }
+            continue;
+        }
+
+        // The attributes have changed
+        const el = mutation.target;
+        for (const prefix in EVENT_TRIGGERS) {
+            if (!mutation.attributeName.startsWith(`data-${prefix}-`)) {
+                continue;
+            }
+            const eventType = EVENT_TRIGGERS[prefix].eventType;
+            if (el.matches(getEventActionsSelector(prefix))) {
+                addEventActions(el, eventType, prefix);
+            } else if (!el.hasAttribute(mutation.attributeName) && el._eventActions && el._eventActions.handlers && el._eventActions.handlers[eventType]) {
+                // The attribute was removed and the element has no event actions for this prefix anymore
+                removeEventActions(el, eventType);
+            }
+        }
+    }
+}
+
+/**
+ * Starts the live mode: the elements that are added to the given root after the page is loaded are bound, the elements
+ *  that are removed are released, and the data attributes added to existing elements are also taken into account.
+ * @param {HTMLElement} root The element to observe (default: the document element).
+ */
+function observeEventActions(root = document.documentElement) {
+    disconnectEventActions();
+    eventActionsObserver = new MutationObserver(handleEventActionsMutations);
+    eventActionsObserver.observe(root, { childList: true, subtree: true, attributes: true });
+}
+
+/**
+ * Stops the live mode (if it was started).
+ */
+function disconnectEventActions() {
+    if (eventActionsObserver) {
+        eventActionsObserver.disconnect();
+        eventActionsObserver = null;
+    }
+}
+
+const EventActions = {
     execute: executeAction,
     addEventActions: addEventActions,
     addClickActions: (el) => addEventActions(el, 'click', 'ca'),
@@ -486,27 +2119,54 @@ const EventActions = {
     removeEventActions: removeEventActions,
     removeClickActions: (el) => removeEventActions(el, 'click'),
     removeScrollActions: (el) => removeEventActions(el, 'scroll'),
+    cancel: cancelEventActions,
+    saveState: saveEventActionsState,
+    restoreState: restoreEventActionsState,
+    clearState: clearEventActionsState,
+    delegate: delegateEventActions,
+    undelegate: undelegateEventActions,
+    registerTrigger: registerTrigger,
+    registerAction: registerAction,
+    registerAnimation: registerAnimation,
+    setDialogProvider: setDialogProvider,
+    actions: ACTION_VERBS,
+    expressionFunctions: EXPRESSION_FUNCTIONS,
+    expressionMethods: EXPRESSION_METHODS,
+    triggers: EVENT_TRIGGERS,
+    discover: discoverEventActions,
+    observe: observeEventActions,
+    disconnect: disconnectEventActions,
+    isObserving: () => eventActionsObserver !== null,
     defaultActionOptions: DEFAULT_OPTIONS_ACTION,
+    defaultHandlerOptions: DEFAULT_OPTIONS_HANDLER,
+    settings: DEFAULT_SETTINGS,
     version: "1.0.0"
 };
 
 // When the document is loaded, we add the event listeners to the buttons
 document.addEventListener('DOMContentLoaded', () => {
-    // Look for all elements with data-ca-* to add the click-action functionality, but also the data-ca-1-* (for multiple actions).
-    //  We are assuming that data-ca-* is equivalent to data-ca-0-*. But we can omit the data-ca-* if we want to only use suffixed:
-    //  data-ca-1-*, data-ca-2-*, etc.
-    const selectorsClick = Object.keys(EventActions.defaultActionOptions).map(opt => `[data-ca-${camelToSnakeCase(opt)}],[data-ca-1-${camelToSnakeCase(opt)}]`).join(',');
+    eventActionsLoaded = true;
 
-    // The same for data-sa-* (scroll-action)
-    const selectorsScroll = Object.keys(EventActions.defaultActionOptions).map(opt => `[data-sa-${camelToSnakeCase(opt)}],[data-sa-1-${camelToSnakeCase(opt)}]`).join(',');
+    // The state saved by the elements (data-ca-persist) is restored before they are bound
+    restoreEventActionsState(document);
 
-    document.querySelectorAll(`${selectorsClick}`).forEach(el => {
-        addEventActions(el, 'click', 'ca');
-    });
+    if (EventActions.settings.delegate) {
+        // In delegated mode, the elements are found when the event happens, so there is no need to bind them now; only
+        //  the triggers that the elements use are delegated (and, in live mode, the ones used by the elements added later)
+        delegateUsedTriggers(document);
+        if (EventActions.settings.live) {
+            observeEventActions();
+        }
+        return;
+    }
 
-    document.querySelectorAll(`${selectorsScroll}`).forEach(el => {
-        addEventActions(el, 'scroll', 'sa');
-    });
+    // Look for all elements with data-ca-* to add the click-action functionality, data-sa-* for the scroll-action, etc.
+    discoverEventActions(document);
+
+    // If the live mode is enabled, we start observing the document
+    if (EventActions.settings.live) {
+        observeEventActions();
+    }
 });
 
 exports.EventActions = EventActions;
\ No newline at end of file
@@ -0,0 +1,152 @@
+// These are the default options for the actions that run when the URL changes (data-ha-*)
+const DEFAULT_OPTIONS_HISTORY = {
+    match: null, // The pattern of the URL that runs the actions (e.g. '#tab=2', '?page=*' or '/products/*#reviews'); see matchesHistoryPattern
+    prefix: 'ha', // The prefix of the chain of actions that is run (e.g. 'ca' to run the click actions of the element)
+    onLoad: true, // If true, the actions also run when the page is loaded with a URL that matches (i.e. for deep links)
+}
+
+// The prefix of the attributes for the history actions
+const HISTORY_PREFIX = 'ha';
+
+// The URL attended by the last history action (to attend each change of the URL only once)
+let lastHistoryURL = null;
+
+/**
+ * Converts a pattern with wildcards (e.g. 'tab-*') into a regular expression that matches the whole value.
+ * @param {string} pattern The pattern, in which '*' matches any sequence of characters.
+ * @returns {RegExp} The regular expression.
+ */
+function wildcardToRegExp(pattern) {
+    return new RegExp('^' + pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+}
+
+/**
+ * Checks whether the URL matches a pattern. The pattern has the form of a URL without origin, and each of its parts
+ *  that is present must match the URL:
+ *  - the path (e.g. '/products/*'), which must match the path of the URL;
+ *  - the query (e.g. '?tab=2&page=*'), whose parameters must be in the URL with the same values (a parameter without
+ *    value only needs to be in the URL), but the URL may have other parameters;
+ *  - the hash (e.g. '#tab=2'), which must match the hash of the URL.
+ *  (*) '*' matches any sequence of characters.
+ * @param {string} pattern The pattern.
+ * @param {Location|URL} url The URL (default: the current location).
+ * @returns {boolean} True if the URL matches the pattern.
+ */
+function matchesHistoryPattern(pattern, url = window.location) {
+    pattern = sanitizeValue(pattern);
+    if (pattern === null) {
+        return false;
+    }
+
+    const hashIndex = pattern.indexOf('#');
+    const hash = hashIndex === -1 ? null : pattern.slice(hashIndex);
+    const rest = hashIndex === -1 ? pattern : pattern.slice(0, hashIndex);
+    const queryIndex = rest.indexOf('?');
+    const query = queryIndex === -1 ? null : rest.slice(queryIndex + 1);
+    const path = queryIndex === -1 ? rest : rest.slice(0, queryIndex);
+
+    if (path !== '' && !wildcardToRegExp(path).test(url.pathname)) {
+        return false;
+    }
+    if (hash !== null && !wildcardToRegExp(hash).test(url.hash)) {
+        return false;
+    }
+    if (query !== null) {
+        const params = new URLSearchParams(url.search);
+        for (const [ name, value ] of new URLSearchParams(query)) {
+            if (!params.has(name)) {
+                return false;
+            }
+            if (value !== '' && !params.getAll(name).some(current => wildcardToRegExp(value).test(current))) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Handles the changes of the URL (popstate and hashchange events, and the load of the page): looks for the elements
+ *  whose pattern (data-ha-match) matches the new URL, and runs their chain of actions.
+ * @param {Event|null} event The popstate or hashchange event (or null, when the page is loaded).
+ */
+function handleHistoryActions(event) {
+    if (!EventActions.settings.history) {
+        return;
+    }
+
+    // Changing the hash fires both popstate and hashchange, but the change is attended only once
+    if (event && event.type === 'hashchange' && window.location.href === lastHistoryURL) {
+        return;
+    }
+    lastHistoryURL = window.location.href;
+
+    for (const el of document.querySelectorAll(`[data-${HISTORY_PREFIX}-match]`)) {
+        const options = getElementOptions(el, DEFAULT_OPTIONS_HISTORY, HISTORY_PREFIX);
+        if ((event === null && !options.onLoad) || !matchesHistoryPattern(options.match)) {
+            continue;
+        }
+        const prefix = sanitizeValue(options.prefix) || HISTORY_PREFIX;
+        if (isAttendingEventActions(el, 'history', prefix)) {
+            scheduleEventActions(el, event, 'history', prefix);
+        }
+    }
+}
+
+/**
+ * Applies the history verb: pushes a new entry to the history of the browser (historyPush), or replaces the current one
+ *  (historyReplace), with the given URL. The URL is relative to the current one (e.g. '#tab=2', '?page=3' or
+ *  '/products'), and it may contain placeholders (see renderTemplate), whose values are not escaped.
+ * @param {HTMLElement[]} targetElements The target elements (not used).
+ * @param {Object} actionOptions The options of the action.
+ * @param {HTMLElement} el The element that defines the action.
+ * @param {Object} context The context of the action.
+ * @returns {boolean|undefined} False if the URL is not valid.
+ */
+function applyHistory(targetElements, actionOptions, el, context = {}) {
+    const push = sanitizeValue(actionOptions.historyPush);
+    const option = push !== null ? 'historyPush' : 'historyReplace';
+    const value = renderTemplate(el, sanitizeValue(actionOptions[option]), targetElements, context, getAttributeName(context.prefix || null, option), false);
+    if (value === null) {
+        return;
+    }
+
+    let url;
+    try {
+        url = new URL(value, window.location.href);
+    } catch (error) {
+        console.warn(`Invalid URL "${value}" for the history:`, error);
+        return false;
+    }
+    if (url.origin !== window.location.origin) {
+        console.warn(`The URL "${value}" cannot be added to the history, because it has another origin`);
+        return false;
+    }
+
+    // The same URL is not added twice (e.g. when the actions run again because the URL changed)
+    if (url.href !== window.location.href) {
+        if (push !== null) {
+            window.history.pushState({ eventActions: true }, '', url.href);
+        } else {
+            window.history.replaceState({ eventActions: true }, '', url.href);
+        }
+    }
+    lastHistoryURL = window.location.href;
+}
+
+registerAction('history', {
+    order: 400,
+    options: {
+        historyPush: null, // The URL to push to the history of the browser (e.g. '#tab=2' or '?page=3'), relative to the current one
+        historyReplace: null, // The URL that replaces the current entry of the history of the browser (if historyPush is not set)
+    },
+    apply: applyHistory,
+});
+
+window.addEventListener('popstate', handleHistoryActions);
+window.addEventListener('hashchange', handleHistoryActions);
+
+// When the document is loaded, the actions whose pattern matches the URL are run (e.g. to open the tab of a deep link)
+document.addEventListener('DOMContentLoaded', () => {
+    handleHistoryActions(null);
+});
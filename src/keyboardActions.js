@@ -0,0 +1,183 @@
+// These are the default options for a keyboard shortcut (data-ka-*)
+const DEFAULT_OPTIONS_KEYBOARD = {
+    key: null, // The key combination that runs the actions (e.g. 'ctrl+shift+k', 'Escape' or 'mod+s'); several combinations can be separated by commas
+    scope: 'document', // 'document' if the shortcut works in the whole document, or 'focus' if it only works when the focus is inside of the element
+    allowInInputs: false, // If true, the shortcut also works while the user is typing in an input, a textarea, a select or an editable element
+}
+
+// The prefix of the attributes for the keyboard shortcuts
+const KEYBOARD_PREFIX = 'ka';
+
+// The aliases for the names of the keys and the modifiers
+const KEY_ALIASES = {
+    control: 'ctrl',
+    cmd: 'meta',
+    command: 'meta',
+    super: 'meta',
+    win: 'meta',
+    option: 'alt',
+    esc: 'escape',
+    return: 'enter',
+    del: 'delete',
+    space: ' ',
+    spacebar: ' ',
+    plus: '+',
+    up: 'arrowup',
+    down: 'arrowdown',
+    left: 'arrowleft',
+    right: 'arrowright',
+};
+
+/**
+ * Checks whether the platform is a Mac (or an iOS device), in which the 'mod' modifier is the Cmd key.
+ * @returns {boolean} True if the platform is a Mac.
+ */
+function isMacPlatform() {
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || navigator.userAgent || '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * Parses a key combination (e.g. 'ctrl+shift+k'), into an object with the modifiers and the key.
+ *  (*) the modifier 'mod' is translated into 'meta' in Mac, and into 'ctrl' in other platforms.
+ * @param {string} combination The key combination.
+ * @returns {Object|null} The key combination ({ ctrl, shift, alt, meta, key }), or null if it is not valid.
+ */
+function parseKeyCombination(combination) {
+    combination = sanitizeValue(combination);
+    if (combination === null) {
+        return null;
+    }
+
+    // The plus key is the only one that cannot be split (e.g. 'ctrl++')
+    let parts = combination.toLowerCase().split('+');
+    if (combination.endsWith('+') && parts.length > 1) {
+        parts = [ ...parts.slice(0, -2), '+' ];
+    }
+
+    const result = { ctrl: false, shift: false, alt: false, meta: false, key: null };
+    for (let part of parts) {
+        part = part.trim();
+        part = KEY_ALIASES[part] || part;
+        if (part === 'mod') {
+            part = isMacPlatform() ? 'meta' : 'ctrl';
+        }
+        if (['ctrl', 'shift', 'alt', 'meta'].includes(part)) {
+            result[part] = true;
+        } else if (part !== '') {
+            if (result.key !== null) {
+                console.warn(`Invalid key combination "${combination}": only one key (apart from the modifiers) is allowed`);
+                return null;
+            }
+            result.key = part;
+        }
+    }
+
+    if (result.key === null) {
+        console.warn(`Invalid key combination "${combination}": a key is required`);
+        return null;
+    }
+    return result;
+}
+
+/**
+ * Checks whether the keyboard event corresponds to the given key combination.
+ * @param {KeyboardEvent} event The keyboard event.
+ * @param {string} keys The key combinations, separated by commas (e.g. 'ctrl+s, mod+s').
+ * @returns {boolean} True if the event matches any of the combinations.
+ */
+function matchesKeyCombination(event, keys) {
+    keys = sanitizeValue(keys);
+    if (keys === null || typeof event.key !== 'string') {
+        return false;
+    }
+
+    // The commas separate combinations, except if the key is the comma itself (e.g. 'ctrl+,')
+    const combinations = keys.split(/,(?!\s*(?:,|$))/);
+    for (const combination of combinations) {
+        const parsed = parseKeyCombination(combination);
+        if (parsed === null) {
+            continue;
+        }
+
+        const eventKey = event.key.toLowerCase();
+        let keyMatches = eventKey === parsed.key;
+        if (!keyMatches && /^[a-z0-9]$/.test(parsed.key)) {
+            // The modifiers may change the value of the key (e.g. alt+k in Mac), so we also check the physical key
+            keyMatches = event.code === `Key${parsed.key.toUpperCase()}` || event.code === `Digit${parsed.key}`;
+        }
+        if (!keyMatches) {
+            continue;
+        }
+
+        // The symbols that need shift to be typed (e.g. '?') do not need to declare it
+        const ignoreShift = !parsed.shift && parsed.key.length === 1 && !/^[a-z0-9 ]$/.test(parsed.key);
+        if (event.ctrlKey === parsed.ctrl && event.altKey === parsed.alt && event.metaKey === parsed.meta && (ignoreShift || event.shiftKey === parsed.shift)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Checks whether the element is a control in which the user types (i.e. an input, a textarea, a select or an editable
+ *  element).
+ * @param {Element} el The element.
+ * @returns {boolean} True if the user types in the element.
+ */
+function isEditableElement(el) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) {
+        return false;
+    }
+    if (el.isContentEditable) {
+        return true;
+    }
+    if (el.tagName === 'INPUT') {
+        return !['button', 'checkbox', 'radio', 'reset', 'submit', 'image', 'file', 'range', 'color'].includes((el.type || '').toLowerCase());
+    }
+    return ['TEXTAREA', 'SELECT'].includes(el.tagName);
+}
+
+/**
+ * Handles the keydown events of the document: looks for the elements whose keyboard shortcut (data-ka-key) matches the
+ *  event, and runs their chain of actions. If any of the shortcuts is scoped to the focus, only the focus-scoped ones
+ *  are run (so that the focused component can override the document-wide shortcuts).
+ * @param {KeyboardEvent} event The keydown event.
+ */
+function handleKeyboardActions(event) {
+    if (!EventActions.settings.keyboard || event.isComposing) {
+        return;
+    }
+
+    const typing = isEditableElement(event.target);
+    const matches = { document: [], focus: [] };
+    for (const el of document.querySelectorAll(`[data-${KEYBOARD_PREFIX}-key]`)) {
+        const options = getElementOptions(el, DEFAULT_OPTIONS_KEYBOARD, KEYBOARD_PREFIX);
+        if (!matchesKeyCombination(event, options.key)) {
+            continue;
+        }
+
+        const scope = options.scope === 'focus' ? 'focus' : 'document';
+        if (scope === 'focus' && !el.contains(document.activeElement)) {
+            continue;
+        }
+
+        // The keystrokes typed into an input are ignored, except if the shortcut is defined in the input itself
+        if (typing && !options.allowInInputs && !(scope === 'focus' && el === event.target)) {
+            continue;
+        }
+        if (isAttendingEventActions(el, 'keydown', KEYBOARD_PREFIX)) {
+            matches[scope].push(el);
+        }
+    }
+
+    const elements = matches.focus.length > 0 ? matches.focus : matches.document;
+    if (elements.length > 0) {
+        event.preventDefault();
+    }
+    for (const el of elements) {
+        scheduleEventActions(el, event, 'keydown', KEYBOARD_PREFIX);
+    }
+}
+
+document.addEventListener('keydown', handleKeyboardActions);
@@ -0,0 +1,166 @@
+// These are the default options for persisting the state of the targets of a chain of actions (e.g. data-ca-persist)
+const DEFAULT_OPTIONS_PERSIST = {
+    persist: null, // The key under which the state of the targets is saved when the chain of actions ends; if not set, the state is not saved
+    persistStorage: 'local', // The storage in which the state is saved: 'local' (localStorage) or 'session' (sessionStorage)
+    persistState: 'class', // What is saved, separated by spaces: 'class' (the classes of the targets) and/or 'content' (their HTML content)
+    persistTarget: null, // The selector of the elements whose state is saved; if not set, the targets of the actions of the chain are used (they must have an id)
+    persistVersion: null, // The version of the saved state; if the saved state has another version, it is discarded instead of being restored
+}
+
+// The prefix of the keys of the storage in which the state is saved
+const PERSIST_KEY_PREFIX = 'event-actions:';
+
+/**
+ * Gets the storage in which the state is saved.
+ * @param {string} storage The type of storage: 'local' or 'session'.
+ * @returns {Storage|null} The storage, or null if it is not available (e.g. it is disabled by the browser).
+ */
+function getPersistStorage(storage) {
+    try {
+        return storage === 'session' ? window.sessionStorage : window.localStorage;
+    } catch (error) {
+        console.warn(`The ${storage} storage is not available:`, error);
+        return null;
+    }
+}
+
+/**
+ * Saves the state (the classes and/or the content) of the targets of the chain of actions of the element, if it has a
+ *  persist key (data-<prefix>-persist), so that it is restored when the page is loaded again (see
+ *  restoreEventActionsState).
+ * @param {HTMLElement} el The element that defines the actions.
+ * @param {string} prefix The prefix for the data attributes (default: 'ca').
+ * @param {HTMLElement[]} targets The targets of the actions of the chain (used if there is no persist-target).
+ * @returns {boolean} True if the state was saved.
+ */
+function saveEventActionsState(el, prefix = 'ca', targets = []) {
+    const options = getElementOptions(el, DEFAULT_OPTIONS_PERSIST, prefix);
+    const key = sanitizeValue(options.persist);
+    if (key === null) {
+        return false;
+    }
+    const storage = getPersistStorage(options.persistStorage);
+    if (storage === null) {
+        return false;
+    }
+
+    // The targets are identified by the index in the persist-target selector, or by their id
+    const persistTarget = sanitizeValue(options.persistTarget);
+    let entries = [];
+    if (persistTarget !== null) {
+        try {
+            entries = [ ...document.querySelectorAll(persistTarget) ].map((target, index) => ({ target: target, index: index }));
+        } catch (error) {
+            console.warn(`Error selecting elements with selector "${persistTarget}"`, error);
+            return false;
+        }
+    } else {
+        for (const target of new Set(targets)) {
+            if (!target.id) {
+                console.warn(`The state of the element cannot be saved in "${key}" because it has no id (use ${getAttributeName(prefix, 'persistTarget')} instead)`, target);
+                continue;
+            }
+            entries.push({ target: target, id: target.id });
+        }
+    }
+
+    const state = (sanitizeValue(options.persistState) || 'class').split(/\s+/);
+    const record = {
+        version: sanitizeValue(options.persistVersion),
+        selector: persistTarget,
+        targets: entries.map(entry => {
+            const saved = entry.id !== undefined ? { id: entry.id } : { index: entry.index };
+            if (state.includes('class')) {
+                saved.className = entry.target.className;
+            }
+            if (state.includes('content')) {
+                saved.content = entry.target.innerHTML;
+            }
+            return saved;
+        }),
+    };
+
+    try {
+        storage.setItem(PERSIST_KEY_PREFIX + key, JSON.stringify(record));
+    } catch (error) {
+        console.warn(`Error saving the state in "${key}":`, error);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Restores the state saved by the elements in the given root that have a persist key (data-<prefix>-persist) for any
+ *  trigger. The saved states whose version is not the one of the element are discarded.
+ * @param {HTMLElement|Document} root The element in which to look for the elements (default: document).
+ */
+function restoreEventActionsState(root = document) {
+    const restored = new Set();
+    const prefixes = [ ...Object.keys(EVENT_TRIGGERS), KEYBOARD_PREFIX, HISTORY_PREFIX ];
+    for (const prefix of prefixes) {
+        const selector = `[data-${prefix}-persist]`;
+        const elements = [ ...root.querySelectorAll(selector) ];
+        if (root.matches && root.matches(selector)) {
+            elements.unshift(root);
+        }
+
+        for (const el of elements) {
+            const options = getElementOptions(el, DEFAULT_OPTIONS_PERSIST, prefix);
+            const key = sanitizeValue(options.persist);
+            const id = `${options.persistStorage}:${key}`;
+            if (key === null || restored.has(id)) {
+                continue;
+            }
+            restored.add(id);
+
+            const storage = getPersistStorage(options.persistStorage);
+            let record = null;
+            try {
+                record = storage === null ? null : JSON.parse(storage.getItem(PERSIST_KEY_PREFIX + key));
+            } catch (error) {
+                console.warn(`Error reading the state saved in "${key}":`, error);
+            }
+            if (!record || !Array.isArray(record.targets)) {
+                continue;
+            }
+            if (record.version !== sanitizeValue(options.persistVersion)) {
+                clearEventActionsState(key, options.persistStorage);
+                continue;
+            }
+
+            let selected = [];
+            if (record.selector !== null && record.selector !== undefined) {
+                try {
+                    selected = [ ...document.querySelectorAll(record.selector) ];
+                } catch (error) {
+                    console.warn(`Error selecting elements with selector "${record.selector}"`, error);
+                    continue;
+                }
+            }
+            for (const saved of record.targets) {
+                const target = saved.id !== undefined ? document.getElementById(saved.id) : selected[saved.index];
+                if (!target) {
+                    continue;
+                }
+                if (saved.className !== undefined) {
+                    target.className = saved.className;
+                }
+                if (saved.content !== undefined) {
+                    target.innerHTML = saved.content;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Removes the state saved under the given key.
+ * @param {string} key The key (i.e. the value of data-<prefix>-persist).
+ * @param {string} storage The type of storage: 'local' or 'session' (default: 'local').
+ */
+function clearEventActionsState(key, storage = 'local') {
+    const store = getPersistStorage(storage);
+    if (store !== null) {
+        store.removeItem(PERSIST_KEY_PREFIX + key);
+    }
+}
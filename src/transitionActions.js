@@ -0,0 +1,169 @@
+// The events whose end the actions can wait for (see waitFor)
+const ANIMATION_END_EVENTS = [ 'transitionend', 'animationend' ];
+
+// The keyframes of the animations that can be run by the animate verb, indexed by their name (see registerAnimation)
+const ANIMATION_PRESETS = {
+    'fade-in': [ { opacity: 0 }, { opacity: 1 } ],
+    'fade-out': [ { opacity: 1 }, { opacity: 0 } ],
+    'slide-in-up': [ { opacity: 0, transform: 'translateY(1rem)' }, { opacity: 1, transform: 'none' } ],
+    'slide-in-down': [ { opacity: 0, transform: 'translateY(-1rem)' }, { opacity: 1, transform: 'none' } ],
+    'slide-in-left': [ { opacity: 0, transform: 'translateX(1rem)' }, { opacity: 1, transform: 'none' } ],
+    'slide-in-right': [ { opacity: 0, transform: 'translateX(-1rem)' }, { opacity: 1, transform: 'none' } ],
+    'slide-out-up': [ { opacity: 1, transform: 'none' }, { opacity: 0, transform: 'translateY(-1rem)' } ],
+    'slide-out-down': [ { opacity: 1, transform: 'none' }, { opacity: 0, transform: 'translateY(1rem)' } ],
+    'slide-out-left': [ { opacity: 1, transform: 'none' }, { opacity: 0, transform: 'translateX(-1rem)' } ],
+    'slide-out-right': [ { opacity: 1, transform: 'none' }, { opacity: 0, transform: 'translateX(1rem)' } ],
+    'zoom-in': [ { opacity: 0, transform: 'scale(.9)' }, { opacity: 1, transform: 'none' } ],
+    'zoom-out': [ { opacity: 1, transform: 'none' }, { opacity: 0, transform: 'scale(.9)' } ],
+};
+
+/**
+ * Registers an animation that can be run by the animate verb (e.g. data-ca-animate="shake"). If an animation with the
+ *  same name exists, it is replaced.
+ * @param {string} name The name of the animation.
+ * @param {Object[]} keyframes The keyframes of the animation, as accepted by Element.animate (e.g. [ { opacity: 0 }, { opacity: 1 } ]).
+ */
+function registerAnimation(name, keyframes) {
+    if (!name || !Array.isArray(keyframes)) {
+        console.error('An animation needs a name and an array of keyframes');
+        return;
+    }
+    ANIMATION_PRESETS[name] = keyframes;
+}
+
+/**
+ * Gets the longest of the durations of a computed style (e.g. '0s, .3s'), in milliseconds.
+ * @param {string} durations The durations, separated by commas.
+ * @returns {number} The longest duration (0 if there is none).
+ */
+function getLongestDuration(durations) {
+    return Math.max(0, ...(durations || '').split(',').map(duration => {
+        const value = parseFloat(duration) || 0;
+        return duration.trim().endsWith('ms') ? value : value * 1000;
+    }));
+}
+
+/**
+ * Waits for the CSS transitions and/or animations of the element to finish. If the browser does not support
+ *  Element.getAnimations, it waits for the first transitionend or animationend event of the element instead (only if its
+ *  computed style has a duration, so that it does not wait for an animation that never started).
+ * @param {HTMLElement} target The element.
+ * @param {string[]} types The events to wait for ('transitionend' and/or 'animationend').
+ * @returns {Promise<void>} A promise that resolves when the animations have finished (or were cancelled).
+ */
+function waitForElementAnimations(target, types) {
+    if (typeof target.getAnimations === 'function') {
+        const animations = target.getAnimations().filter(animation =>
+            (types.includes('transitionend') && animation.transitionProperty !== undefined) ||
+            (types.includes('animationend') && animation.animationName !== undefined));
+        return Promise.all(animations.map(animation => animation.finished.catch(() => {}))).then(() => {});
+    }
+
+    const style = window.getComputedStyle(target);
+    const animated = (types.includes('transitionend') && getLongestDuration(style.transitionDuration) > 0) ||
+        (types.includes('animationend') && getLongestDuration(style.animationDuration) > 0 && style.animationName !== 'none');
+    if (!animated) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        const events = [ ...types, ...types.map(type => type.replace('end', 'cancel')) ];
+        const done = function (event) {
+            if (event.target !== target) {
+                return;
+            }
+            events.forEach(type => target.removeEventListener(type, done));
+            resolve();
+        };
+        events.forEach(type => target.addEventListener(type, done));
+    });
+}
+
+/**
+ * Waits for the CSS transitions and/or animations of the targets to finish (e.g. the transition started by adding a
+ *  class), so that the next action starts when the targets are at rest.
+ * @param {HTMLElement[]} targetElements The target elements.
+ * @param {string} waitFor The events to wait for, separated by spaces: 'transitionend' and/or 'animationend'.
+ * @param {number} timeout The maximum time to wait, in milliseconds (0 means no limit).
+ * @param {AbortSignal|null} signal The signal that stops waiting (optional).
+ * @returns {Promise<boolean>} A promise that resolves to false if the value of waitFor is not valid, or to true when the
+ *  animations have finished, the time is over or the signal has been aborted.
+ */
+async function waitForAnimations(targetElements, waitFor, timeout = 0, signal = null) {
+    const types = waitFor.split(/[\s,|]+/).filter(type => type !== '');
+    if (types.length === 0 || types.some(type => !ANIMATION_END_EVENTS.includes(type))) {
+        console.warn(`Invalid value "${waitFor}" to wait for: it must be 'transitionend' and/or 'animationend'`);
+        return false;
+    }
+
+    const finished = Promise.all(targetElements.map(target => waitForElementAnimations(target, types)));
+    const stopped = timeout > 0 ? sleep(timeout, signal) : new Promise(resolve => {
+        if (signal) {
+            signal.addEventListener('abort', resolve, { once: true });
+        }
+    });
+    await Promise.race([ finished, stopped ]);
+    return true;
+}
+
+/**
+ * Applies the animate verb: runs an animation on the target elements, using the Web Animations API, and waits for it to
+ *  finish (so that the next action starts when the animation ends). The animation is a preset (see registerAnimation)
+ *  or a JSON array of keyframes. If the user prefers reduced motion, the animation is not run.
+ * @param {HTMLElement[]} targetElements The target elements.
+ * @param {Object} actionOptions The options of the action.
+ * @param {HTMLElement} el The element that defines the action.
+ * @param {Object} context The context of the action.
+ * @returns {Promise<boolean|undefined>} A promise that resolves to false if the animation is not valid.
+ */
+async function applyAnimate(targetElements, actionOptions, el, context = {}) {
+    const animation = sanitizeValue(actionOptions.animate);
+    if (animation === null) {
+        return;
+    }
+    let keyframes = ANIMATION_PRESETS[animation];
+    if (keyframes === undefined && animation.startsWith('[')) {
+        try {
+            keyframes = JSON.parse(animation);
+        } catch (error) {
+            console.warn(`Invalid keyframes for the animation "${animation}":`, error);
+            return false;
+        }
+    }
+    if (!Array.isArray(keyframes)) {
+        console.warn(`Unknown animation "${animation}"; the available animations are: ${Object.keys(ANIMATION_PRESETS).join(', ')}`);
+        return false;
+    }
+
+    if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        return;
+    }
+
+    const options = {
+        duration: Math.max(parseFloat(actionOptions.animateDuration) || 0, 0),
+        easing: sanitizeValue(actionOptions.animateEasing) || 'ease',
+        fill: sanitizeValue(actionOptions.animateFill) || 'none',
+    };
+    const animations = targetElements.filter(target => typeof target.animate === 'function').map(target => target.animate(keyframes, options));
+
+    // If the chain of actions is stopped, the animations are cancelled (and their targets go back to their state)
+    const signal = context.signal || null;
+    const cancel = () => animations.forEach(animation => animation.cancel());
+    if (signal) {
+        signal.addEventListener('abort', cancel, { once: true });
+    }
+    await Promise.all(animations.map(animation => animation.finished.catch(() => {})));
+    if (signal) {
+        signal.removeEventListener('abort', cancel);
+    }
+}
+
+registerAction('animate', {
+    order: 250,
+    options: {
+        animate: null, // The animation to run on the target elements: the name of a preset (e.g. 'fade-in' or 'slide-out-left'; see registerAnimation) or a JSON array of keyframes
+        animateDuration: 300, // The duration of the animation, in milliseconds
+        animateEasing: 'ease', // The easing of the animation (e.g. 'linear' or 'ease-in-out')
+        animateFill: 'none', // The fill mode of the animation: 'none' (the targets go back to their style when it ends) or 'forwards' (they keep the last keyframe)
+    },
+    apply: applyAnimate,
+});
@@ -45,6 +45,101 @@ function sanitizeValue(value) {
     return value;
 }
 
+/**
+ * Escapes the characters of a string that have a special meaning in HTML.
+ * @param {string} str - The string to escape.
+ * @return {string} - The escaped string.
+ */
+function escapeHTML(str) {
+    return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Parses a list of assignments separated by semicolons (e.g. "aria-expanded=true; title=Hello").
+ *  (*) only the first separator of each assignment is considered, so the values may contain the separator.
+ * @param {string} value - The list of assignments.
+ * @param {string} separator - The separator between the name and the value (default: '=').
+ * @return {Array} - The list of [name, value] pairs; if an assignment has no separator, its value is an empty string.
+ */
+function parseAssignments(value, separator = '=') {
+    value = sanitizeValue(value);
+    if (value === null || typeof value !== 'string') {
+        return [];
+    }
+    return value.split(';').map(assignment => {
+        const index = assignment.indexOf(separator);
+        if (index === -1) {
+            return [ assignment.trim(), '' ];
+        }
+        return [ assignment.slice(0, index).trim(), assignment.slice(index + separator.length).trim() ];
+    }).filter(([ name ]) => name !== '');
+}
+
+/**
+ * Converts a string to the literal value that it represents: true, false, null, undefined, a number, or a string (if
+ *  the string is quoted, the quotes are removed).
+ * @param {string} value - The string.
+ * @return {any} - The literal value.
+ */
+function parseLiteralValue(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const literals = { true: true, false: false, null: null, undefined: undefined };
+    if (value in literals) {
+        return literals[value];
+    }
+    if (value.trim() !== '' && !isNaN(value)) {
+        return parseFloat(value);
+    }
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    if (quoted) {
+        return quoted[2];
+    }
+    return value;
+}
+
+/**
+ * Parses the value of an option that contains a JSON object (e.g. '{"X-Requested-With": "XMLHttpRequest"}').
+ *  (*) if the value is not a string (e.g. it was set from JavaScript), it is returned as is.
+ * @param {any} value - The value of the option.
+ * @return {any} - The parsed value, or null if the value is empty.
+ * @throws {SyntaxError} - If the value is not valid JSON.
+ */
+function parseJSONOption(value) {
+    value = sanitizeValue(value);
+    if (value === null || typeof value !== 'string') {
+        return value;
+    }
+    return JSON.parse(value);
+}
+
+/**
+ * Waits for the given time, or until the signal is aborted (whatever happens first).
+ * @param {number} ms - The time to wait, in milliseconds.
+ * @param {AbortSignal|null} signal - The signal that stops waiting (optional).
+ * @return {Promise<void>} - A promise that resolves when the time has passed or the signal has been aborted.
+ */
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            resolve();
+            return;
+        }
+        const done = () => {
+            clearTimeout(timeout);
+            if (signal) {
+                signal.removeEventListener('abort', done);
+            }
+            resolve();
+        };
+        const timeout = setTimeout(done, ms);
+        if (signal) {
+            signal.addEventListener('abort', done, { once: true });
+        }
+    });
+}
+
 /**
  * Retrieves the options for an element based on its attributes and a default options object.
  * 
@@ -124,7 +219,7 @@ const DEFAULT_MODAL_OPTIONS = {
     backdrop: 'static', // true, false, 'static'
     keyboard: true,
     focus: true,
-    onAccept: null, // function
+    onAccept: null, // function; if it returns false, the modal is not closed (e.g. because the value of a field is not valid)
     onCancel: null, // function
     onShow: null, // function
     onShown: null, // function
@@ -133,52 +228,437 @@ const DEFAULT_MODAL_OPTIONS = {
     autoShow: true, // if true, the modal is shown immediately after creation
 }
 
+// The dialogs set by the application (see setDialogProvider)
+let dialogProvider = null;
+
+/**
+ * Sets the provider of the dialogs used by the actions (confirm, acknowledge, prompt, splash and toast), e.g. to use the modals of a
+ *  design system. The provider is an object with any of the next functions (the dialogs that it does not provide are
+ *  the default ones):
+ *  - confirm(message, acceptText, cancelText, title): returns a promise that resolves if the user accepts, and rejects
+ *      (or resolves to false) if the user cancels.
+ *  - message(message, buttonText, title): returns a promise that resolves when the user closes the dialog.
+ *  - prompt(message, options): returns a promise that resolves to the value entered by the user, and rejects (or
+ *      resolves to null) if the user cancels. The options are the ones of promptDialog (see DEFAULT_PROMPT_OPTIONS),
+ *      plus validate(value), which returns the error message if the value is not valid (or null if it is valid).
+ *  - splash(content, title, cancelText, onCancel): shows the dialog, and returns an object with a hide() function (or
+ *      null if it is not shown). If cancelText is not null, the dialog has a cancel button, which closes the dialog and
+ *      calls onCancel.
+ *  - toast(message, options): shows a notification that does not block the page, and returns a promise that resolves
+ *      when it is hidden, to 'action' if the user clicked its action button (or to any other value otherwise). The
+ *      options are the ones of toastDialog (see DEFAULT_TOAST_OPTIONS).
+ * @param {Object|null} provider The provider, or null to use the default dialogs again.
+ */
+function setDialogProvider(provider) {
+    dialogProvider = provider || null;
+}
+
+/**
+ * Gets the default provider of the dialogs: the modals of Bootstrap 5 if it is available, the native <dialog> element
+ *  if the browser supports it, or window.confirm and window.alert otherwise (then there is no splash dialog). The toasts
+ *  are the ones of Bootstrap 5 if it is available, or the built-in ones otherwise.
+ * @returns {Object} The provider ({ confirm, message, prompt, splash, toast }).
+ */
+function getDefaultDialogProvider() {
+    if (typeof bootstrap !== 'undefined' && bootstrap.Modal) {
+        return BOOTSTRAP_DIALOG_PROVIDER;
+    }
+    if (typeof HTMLDialogElement === 'function' && typeof HTMLDialogElement.prototype.showModal === 'function') {
+        return NATIVE_DIALOG_PROVIDER;
+    }
+    return WINDOW_DIALOG_PROVIDER;
+}
+
+/**
+ * Gets the function of the provider of the dialogs for the given dialog, or the default one if the provider set by the
+ *  application does not have it.
+ * @param {string} name The dialog ('confirm', 'message', 'prompt', 'splash' or 'toast').
+ * @returns {Function} The function.
+ */
+function getDialogFunction(name) {
+    if (dialogProvider && typeof dialogProvider[name] === 'function') {
+        return dialogProvider[name];
+    }
+    return getDefaultDialogProvider()[name];
+}
+
+/**
+ * Calls the function of the provider of the dialogs for the given dialog (see getDialogFunction).
+ * @param {string} name The dialog ('confirm', 'message' or 'prompt').
+ * @param {...any} args The arguments of the function.
+ * @returns {Promise} A promise with the result of the function, which rejects if the function throws an error (so that
+ *  a failure of the provider is not confused with a dialog that was not shown).
+ */
+function callDialogFunction(name, ...args) {
+    return new Promise(resolve => resolve(getDialogFunction(name)(...args)));
+}
+
 function confirmDialog(message, btnAcceptText = 'Accept', btnCancelText = 'Cancel', title = null) {
-    const modalDialog = bsCreateModal({
-        title: title,
-        body: message,
-        btnAcceptText: btnAcceptText,
-        btnCancelText: btnCancelText,
+    return callDialogFunction('confirm', message, btnAcceptText, btnCancelText, title).then(result => {
+        if (result === false) {
+            throw false;
+        }
+        return result;
     });
-    if (!modalDialog) {
-        return new Promise((resolve, reject) => {
-            if (window.confirm(message)) {
-                resolve(true);
-            } else {
-                reject(false);
-            }
-        });
-    }
-    return modalDialog;
 }
 
 function messageDialog(message, btnAcceptText = 'OK', title = null) {
-    const modalDialog = bsCreateModal({
-        title: title,
-        body: message,
-        btnAcceptText: btnAcceptText,
-        btnCancelText: null,
+    return callDialogFunction('message', message, btnAcceptText, title);
+}
+
+// The default options of the prompt dialog (see promptDialog)
+const DEFAULT_PROMPT_OPTIONS = {
+    type: 'text', // The type of the value: 'text', 'number' or 'select'
+    value: null, // The initial value of the field
+    options: [], // The options of a 'select' prompt, as a list of { value, label }
+    pattern: null, // A regular expression that the value must match (the whole value)
+    acceptText: 'OK', // The text of the accept button
+    cancelText: 'Cancel', // The text of the cancel button
+    title: null, // The title of the dialog
+}
+
+/**
+ * Checks whether a value entered in a prompt dialog is valid: numbers must be numbers, the values of a select must be
+ *  one of its options, and the values must match the pattern (if any).
+ * @param {string} value The value.
+ * @param {Object} options The options of the prompt (see DEFAULT_PROMPT_OPTIONS).
+ * @returns {string|null} The error message if the value is not valid, or null if it is valid.
+ */
+function validatePromptValue(value, options) {
+    value = String(value);
+    if (options.type === 'number' && (value.trim() === '' || isNaN(value))) {
+        return 'Please enter a number';
+    }
+    if (options.type === 'select' && !options.options.some(option => option.value === value)) {
+        return 'Please select one of the options';
+    }
+    if (options.pattern) {
+        let pattern;
+        try {
+            pattern = new RegExp(`^(?:${options.pattern})$`);
+        } catch (error) {
+            console.warn(`Invalid pattern "${options.pattern}" for the prompt:`, error);
+            return null;
+        }
+        if (!pattern.test(value)) {
+            return 'Please enter a valid value';
+        }
+    }
+    return null;
+}
+
+/**
+ * Shows a dialog that asks the user for a value. If the dialog returns a value that is not valid (see
+ *  validatePromptValue), the user is asked again.
+ * @param {string} message The message of the dialog (HTML).
+ * @param {Object} options The options of the prompt (see DEFAULT_PROMPT_OPTIONS).
+ * @returns {Promise<string|number>} A promise that resolves to the value (a number if the type is 'number'), or rejects
+ *  if the user cancels.
+ */
+function promptDialog(message, options = {}) {
+    options = Object.assign({}, DEFAULT_PROMPT_OPTIONS, options || {});
+    if (![ 'text', 'number', 'select' ].includes(options.type)) {
+        console.warn(`Invalid type "${options.type}" for the prompt: it must be 'text', 'number' or 'select'`);
+        options.type = 'text';
+    }
+    const validate = value => validatePromptValue(value, options);
+    const ask = value => callDialogFunction('prompt', message, Object.assign({}, options, { value: value, validate: validate })).then(result => {
+        if (result === null || result === undefined || result === false) {
+            throw false;
+        }
+        if (validate(result) !== null) {
+            return ask(String(result));
+        }
+        return options.type === 'number' ? parseFloat(result) : String(result);
     });
-    if (!modalDialog) {
-        return new Promise((resolve) => {
-            window.alert(message);
-            resolve(true);
-        });
+    return ask(options.value);
+}
+
+/**
+ * Gets the HTML of the body of a prompt dialog: the message and the field (an input or a select), followed by the
+ *  element in which the errors are shown.
+ * @param {string} message The message (HTML).
+ * @param {Object} options The options of the prompt (see DEFAULT_PROMPT_OPTIONS).
+ * @returns {string} The HTML.
+ */
+function getPromptBody(message, options) {
+    const value = options.value === null || options.value === undefined ? '' : String(options.value);
+    const field = options.type === 'select'
+        ? `<select class="form-select event-actions-prompt-input">${options.options.map(option => `<option value="${escapeHTML(option.value)}"${option.value === value ? ' selected' : ''}>${escapeHTML(option.label)}</option>`).join('')}</select>`
+        : `<input type="${options.type === 'number' ? 'number' : 'text'}" class="form-control event-actions-prompt-input" value="${escapeHTML(value)}">`;
+    return `<div class="mb-2 event-actions-prompt-message">${message}</div>${field}<div class="invalid-feedback event-actions-prompt-error"></div>`;
+}
+
+/**
+ * Prepares the field of a prompt dialog once it is shown: it gets the focus, and pressing Enter in it accepts the dialog.
+ * @param {HTMLElement} container The element of the dialog.
+ * @param {string} acceptSelector The selector of the accept button of the dialog.
+ */
+function bindPromptField(container, acceptSelector) {
+    const field = container.querySelector('.event-actions-prompt-input');
+    const acceptButton = container.querySelector(acceptSelector);
+    if (!field) {
+        return;
+    }
+    field.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && field.tagName === 'INPUT' && acceptButton) {
+            e.preventDefault();
+            acceptButton.click();
+        }
+    });
+    field.focus();
+}
+
+/**
+ * Reads the value of the field of a prompt dialog, and validates it; if it is not valid, the error is shown.
+ * @param {HTMLElement} container The element of the dialog.
+ * @param {Object} options The options of the prompt (including validate).
+ * @returns {string|null} The value, or null if it is not valid.
+ */
+function readPromptField(container, options) {
+    const field = container.querySelector('.event-actions-prompt-input');
+    const error = container.querySelector('.event-actions-prompt-error');
+    const message = options.validate(field.value);
+    field.classList.toggle('is-invalid', message !== null);
+    error.textContent = message || '';
+    return message === null ? field.value : null;
+}
+
+function splashDialog(splashContent = '<div class="spinner-border" role="status" aria-hidden="true"></div>', title = null, btnCancelText = null, onCancel = null) {
+    const dialog = getDialogFunction('splash')(splashContent, title, btnCancelText, onCancel) || null;
+    if (dialog && typeof dialog.catch === 'function') {
+        // The splash is closed by the code that opened it, or cancelled by the user (if there is a cancel button)
+        dialog.catch(() => {});
     }
-    return modalDialog;
+    return dialog;
 }
 
-function splashDialog(splashContent = '<div class="spinner-border" role="status" aria-hidden="true"></div>', title = null) {
-    const modalDialog = bsCreateModal({
+// The default options of the toasts (see toastDialog)
+const DEFAULT_TOAST_OPTIONS = {
+    variant: 'info', // The variant of the toast: 'success', 'info', 'warning' or 'danger'
+    duration: 5000, // The time in milliseconds after which the toast is hidden (0 means that it is shown until the user closes it)
+    position: 'top-end', // The corner or side of the viewport in which the toasts are stacked: 'top-start', 'top-center', 'top-end', 'bottom-start', 'bottom-center' or 'bottom-end'
+    actionText: null, // The text of an action button (e.g. 'Undo'); if not set, the toast has no action button
+    closeText: 'Close', // The accessible label of the close button
+}
+
+// The valid values of the variant and the position of the toasts
+const TOAST_VARIANTS = [ 'success', 'info', 'warning', 'danger' ];
+const TOAST_POSITIONS = [ 'top-start', 'top-center', 'top-end', 'bottom-start', 'bottom-center', 'bottom-end' ];
+
+/**
+ * Shows a toast: a notification that does not block the page, and that is hidden after a while (or when the user
+ *  closes it).
+ * @param {string} message The message (HTML).
+ * @param {Object} options The options of the toast (see DEFAULT_TOAST_OPTIONS).
+ * @returns {Promise<string|undefined>} A promise that resolves when the toast is hidden, to 'action' if the user clicked
+ *  its action button.
+ */
+function toastDialog(message, options = {}) {
+    options = Object.assign({}, DEFAULT_TOAST_OPTIONS, options || {});
+    if (!TOAST_VARIANTS.includes(options.variant)) {
+        console.warn(`Invalid variant "${options.variant}" for the toast; the valid variants are: ${TOAST_VARIANTS.join(', ')}`);
+        options.variant = DEFAULT_TOAST_OPTIONS.variant;
+    }
+    if (!TOAST_POSITIONS.includes(options.position)) {
+        console.warn(`Invalid position "${options.position}" for the toast; the valid positions are: ${TOAST_POSITIONS.join(', ')}`);
+        options.position = DEFAULT_TOAST_OPTIONS.position;
+    }
+    options.duration = Math.max(parseFloat(options.duration) || 0, 0);
+    return Promise.resolve(getDialogFunction('toast')(message, options));
+}
+
+// The dialogs based on the modals of Bootstrap 5
+const BOOTSTRAP_DIALOG_PROVIDER = {
+    confirm: (message, btnAcceptText, btnCancelText, title) => bsCreateModal({
+        title: title,
+        body: message,
+        btnAcceptText: btnAcceptText,
+        btnCancelText: btnCancelText,
+    }),
+    message: (message, btnAcceptText, title) => bsCreateModal({
+        title: title,
+        body: message,
+        btnAcceptText: btnAcceptText,
+        btnCancelText: null,
+    }),
+    prompt: (message, options) => {
+        let value = null;
+        return bsCreateModal({
+            title: options.title,
+            body: getPromptBody(message, options),
+            btnAcceptText: options.acceptText,
+            btnCancelText: options.cancelText,
+            onShown: (e, modalElement) => bindPromptField(modalElement, '.btn-primary'),
+            onAccept: (e, modalElement) => (value = readPromptField(modalElement, options)) !== null,
+        }).then(() => value);
+    },
+    splash: (splashContent, title, btnCancelText, onCancel) => bsCreateModal({
         title: title,
         body: splashContent,
         btnAcceptText: null,
-        btnCancelText: null,
+        btnCancelText: btnCancelText,
         backdrop: 'static',
         keyboard: false,
         focus: false,
+        onCancel: onCancel,
+    }),
+    toast: (message, options) => typeof bootstrap.Toast === 'function' ? bsCreateToast(message, options) : nativeCreateToast(message, options),
+};
+
+// The dialogs based on the native <dialog> element
+const NATIVE_DIALOG_PROVIDER = {
+    confirm: (message, btnAcceptText, btnCancelText, title) => nativeCreateDialog({
+        title: title,
+        body: message,
+        btnAcceptText: btnAcceptText,
+        btnCancelText: btnCancelText,
+    }),
+    message: (message, btnAcceptText, title) => nativeCreateDialog({
+        title: title,
+        body: message,
+        btnAcceptText: btnAcceptText,
+        btnCancelText: null,
+    }),
+    prompt: (message, options) => {
+        let value = null;
+        const dialog = nativeCreateDialog({
+            title: options.title,
+            body: getPromptBody(message, options),
+            btnAcceptText: options.acceptText,
+            btnCancelText: options.cancelText,
+            onAccept: (e, dialog) => (value = readPromptField(dialog, options)) !== null,
+        });
+        bindPromptField(dialog.dialog, '.event-actions-dialog-accept');
+        return dialog.then(() => value);
+    },
+    splash: (splashContent, title, btnCancelText, onCancel) => nativeCreateDialog({
+        title: title,
+        body: splashContent,
+        btnAcceptText: null,
+        btnCancelText: btnCancelText,
+        keyboard: btnCancelText !== null,
+        onCancel: onCancel,
+    }),
+    toast: nativeCreateToast,
+};
+
+// The dialogs of the browser, used if there is no other option
+const WINDOW_DIALOG_PROVIDER = {
+    confirm: (message) => new Promise((resolve, reject) => {
+        if (window.confirm(message)) {
+            resolve(true);
+        } else {
+            reject(false);
+        }
+    }),
+    message: (message) => new Promise((resolve) => {
+        window.alert(message);
+        resolve(true);
+    }),
+    prompt: (message, options) => window.prompt(message, options.value === null || options.value === undefined ? '' : String(options.value)),
+    splash: () => null,
+    toast: nativeCreateToast,
+};
+
+// The minimal styles of the native dialogs (they are added to the document the first time that a dialog is shown)
+const NATIVE_DIALOG_STYLES = `
+dialog.event-actions-dialog { border: none; border-radius: .5rem; padding: 0; min-width: 18rem; max-width: calc(100vw - 2rem); box-shadow: 0 .5rem 1.5rem rgba(0, 0, 0, .25); color: inherit; font: inherit; }
+dialog.event-actions-dialog::backdrop { background: rgba(0, 0, 0, .4); }
+.event-actions-dialog-title { margin: 0; padding: 1rem 1rem 0; font-size: 1.25rem; }
+.event-actions-dialog-body { padding: 1rem; }
+.event-actions-dialog-footer { display: flex; justify-content: flex-end; gap: .5rem; padding: 0 1rem 1rem; }
+`;
+
+/**
+ * Creates a modal dialog using the native <dialog> element, and shows it. The dialog has the class
+ *  event-actions-dialog (and its parts event-actions-dialog-title, -body and -footer), so that it can be styled.
+ * @param {Object} options The options of the dialog (title, body, btnAcceptText, btnCancelText, keyboard, onAccept and
+ *                         onCancel; see DEFAULT_MODAL_OPTIONS).
+ * @returns {Promise|null} A promise that resolves when the user accepts, and rejects when the user cancels (using the
+ *  cancel button or, if keyboard is true, the Escape key). The dialog can be closed using its hide() function.
+ */
+function nativeCreateDialog(options = {}) {
+    options = Object.assign({}, DEFAULT_MODAL_OPTIONS, options || {});
+    options.title = sanitizeValue(options.title);
+    options.body = sanitizeValue(options.body);
+    options.btnAcceptText = sanitizeValue(options.btnAcceptText);
+    options.btnCancelText = sanitizeValue(options.btnCancelText);
+
+    if (!options.title && !options.body && !options.btnAcceptText && !options.btnCancelText) {
+        console.error('nativeCreateDialog: At least one of title, body, btnAcceptText or btnCancelText must be provided');
+        return null;
+    }
+
+    if (!document.getElementById('event-actions-dialog-styles')) {
+        const style = document.createElement('style');
+        style.id = 'event-actions-dialog-styles';
+        style.textContent = NATIVE_DIALOG_STYLES;
+        document.head.appendChild(style);
+    }
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'event-actions-dialog';
+    dialog.innerHTML = `
+  ${options.title===null ? '' : `<h5 class="event-actions-dialog-title">${options.title}</h5>`}
+  ${options.body===null ? '' : `<div class="event-actions-dialog-body">${options.body}</div>`}
+  ${(options.btnAcceptText===null && options.btnCancelText===null) ? '' : `
+  <div class="event-actions-dialog-footer">
+    ${options.btnCancelText===null ? '' : `<button type="button" class="event-actions-dialog-cancel">${options.btnCancelText}</button>`}
+    ${options.btnAcceptText===null ? '' : `<button type="button" class="event-actions-dialog-accept">${options.btnAcceptText}</button>`}
+  </div>`}`;
+    const acceptButton = dialog.querySelector('.event-actions-dialog-accept');
+    const cancelButton = dialog.querySelector('.event-actions-dialog-cancel');
+
+    const hide = () => {
+        if (dialog.open) {
+            dialog.close();
+        }
+        dialog.remove();
+    };
+
+    const promise = new Promise((resolve, reject) => {
+        const accept = (e) => {
+            if (typeof options.onAccept === 'function' && options.onAccept(e, dialog) === false) {
+                return;
+            }
+            hide();
+            resolve('accept');
+        };
+        const cancel = (e) => {
+            if (typeof options.onCancel === 'function') {
+                options.onCancel(e, dialog);
+            }
+            hide();
+            reject('cancel');
+        };
+        if (acceptButton) {
+            acceptButton.addEventListener('click', accept);
+        }
+        if (cancelButton) {
+            cancelButton.addEventListener('click', cancel, { once: true });
+        }
+
+        // The Escape key cancels the dialog (or closes it, if it has no cancel button), but the dialog is not closed by
+        //  the browser, so that the promise is always settled
+        dialog.addEventListener('cancel', (e) => {
+            e.preventDefault();
+            if (options.keyboard !== true) {
+                return;
+            }
+            if (cancelButton || !acceptButton) {
+                cancel(e);
+            } else {
+                accept(e);
+            }
+        });
     });
-    return modalDialog;
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+    promise.dialog = dialog;
+    promise.hide = hide;
+    return promise;
 }
 
 function bsCreateModal(options = {}) {
@@ -279,11 +759,13 @@ function bsCreateModal(options = {}) {
         if (options.btnAcceptText) {
             acceptButton.addEventListener('click', (e) => {
                 if (options.onAccept && typeof options.onAccept === 'function') {
-                    options.onAccept(e, modalElement);
+                    if (options.onAccept(e, modalElement) === false) {
+                        return;
+                    }
                 }
                 resolve('accept');
                 modal.hide();
-            }, { once: true });
+            });
         }
         if (options.btnCancelText) {
             cancelButton.addEventListener('click', (e) => {
@@ -295,15 +777,20 @@ function bsCreateModal(options = {}) {
             }, { once: true });
         }
         if (options.keyboard === true) {
-            modalElement.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    if (options.onCancel && typeof options.onCancel === 'function') {
-                        options.onCancel(e, modalElement);
-                    }
-                    reject('cancel');
-                    modal.hide();
+            // The listener is kept until the Escape key is pressed, because the other keys may be typed into the fields
+            //  of the modal (e.g. the prompt)
+            const escape = (e) => {
+                if (e.key !== 'Escape') {
+                    return;
                 }
-            }, { once: true });
+                modalElement.removeEventListener('keydown', escape);
+                if (options.onCancel && typeof options.onCancel === 'function') {
+                    options.onCancel(e, modalElement);
+                }
+                reject('cancel');
+                modal.hide();
+            };
+            modalElement.addEventListener('keydown', escape);
         }
         if (options.onShow && typeof options.onShow === 'function') {
             modalElement.addEventListener('show.bs.modal', (e) => {
@@ -332,8 +819,10 @@ function bsCreateModal(options = {}) {
             }
         });        
 
-        // When the modal is hidden, remove it from the DOM
+        // When the modal is hidden, remove it from the DOM (if it was closed in any other way, e.g. by Bootstrap, the
+        //  promise is rejected, so that it is always settled)
         modalElement.addEventListener('hidden.bs.modal', (e) => {
+            reject('cancel');
             modal.dispose();
             modalContainer.remove();
         }, { once: true });        
@@ -341,5 +830,155 @@ function bsCreateModal(options = {}) {
 
     modal.show();
     promise.modal = modal;
+    promise.hide = () => modal.hide();
     return promise;
-}
\ No newline at end of file
+}
+
+// The minimal styles of the built-in toasts (they are added to the document the first time that a toast is shown)
+const NATIVE_TOAST_STYLES = `
+.event-actions-toasts { position: fixed; z-index: 1090; display: flex; flex-direction: column; gap: .5rem; padding: 1rem; pointer-events: none; }
+.event-actions-toasts-top-start, .event-actions-toasts-top-center, .event-actions-toasts-top-end { top: 0; }
+.event-actions-toasts-bottom-start, .event-actions-toasts-bottom-center, .event-actions-toasts-bottom-end { bottom: 0; flex-direction: column-reverse; }
+.event-actions-toasts-top-start, .event-actions-toasts-bottom-start { left: 0; }
+.event-actions-toasts-top-end, .event-actions-toasts-bottom-end { right: 0; }
+.event-actions-toasts-top-center, .event-actions-toasts-bottom-center { left: 50%; transform: translateX(-50%); }
+.event-actions-toast { display: flex; align-items: center; gap: .5rem; min-width: 16rem; max-width: calc(100vw - 2rem); padding: .75rem 1rem; border-radius: .375rem; box-shadow: 0 .25rem .75rem rgba(0, 0, 0, .15); color: #fff; font: inherit; pointer-events: auto; }
+.event-actions-toast-success { background: #198754; }
+.event-actions-toast-info { background: #0b7285; }
+.event-actions-toast-warning { background: #ffc107; color: #000; }
+.event-actions-toast-danger { background: #dc3545; }
+.event-actions-toast-body { flex: 1; }
+.event-actions-toast-action, .event-actions-toast-close { border: none; background: transparent; color: inherit; font: inherit; cursor: pointer; }
+.event-actions-toast-action { font-weight: bold; text-decoration: underline; }
+`;
+
+/**
+ * Gets the container in which the toasts of the given position are stacked (it is created the first time).
+ * @param {string} position The position of the toasts (see DEFAULT_TOAST_OPTIONS).
+ * @param {string} className The classes of the container.
+ * @returns {HTMLElement} The container.
+ */
+function getToastContainer(position, className) {
+    let container = document.querySelector(`[data-event-actions-toasts="${position}"]`);
+    if (!container) {
+        container = document.createElement('div');
+        container.className = className;
+        container.setAttribute('data-event-actions-toasts', position);
+        document.body.appendChild(container);
+    }
+    return container;
+}
+
+/**
+ * Creates a built-in toast, and shows it in the container of its position. The toast has the classes
+ *  event-actions-toast and event-actions-toast-<variant> (and its parts event-actions-toast-body, -action and -close),
+ *  and the container has the classes event-actions-toasts and event-actions-toasts-<position>, so that they can be styled.
+ * @param {string} message The message (HTML).
+ * @param {Object} options The options of the toast (see DEFAULT_TOAST_OPTIONS).
+ * @returns {Promise<string>} A promise that resolves when the toast is hidden: to 'action' if the user clicked the
+ *  action button, to 'close' if the user closed it, or to 'timeout' if it was hidden after its duration. The toast can
+ *  be hidden using its hide() function.
+ */
+function nativeCreateToast(message, options = {}) {
+    options = Object.assign({}, DEFAULT_TOAST_OPTIONS, options || {});
+
+    if (!document.getElementById('event-actions-toast-styles')) {
+        const style = document.createElement('style');
+        style.id = 'event-actions-toast-styles';
+        style.textContent = NATIVE_TOAST_STYLES;
+        document.head.appendChild(style);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = `event-actions-toast event-actions-toast-${options.variant}`;
+    toast.setAttribute('role', [ 'warning', 'danger' ].includes(options.variant) ? 'alert' : 'status');
+    toast.setAttribute('aria-live', [ 'warning', 'danger' ].includes(options.variant) ? 'assertive' : 'polite');
+    toast.setAttribute('aria-atomic', 'true');
+    toast.innerHTML = `
+  <div class="event-actions-toast-body">${message}</div>
+  ${options.actionText===null ? '' : `<button type="button" class="event-actions-toast-action">${options.actionText}</button>`}
+  <button type="button" class="event-actions-toast-close" aria-label="${escapeHTML(options.closeText)}">&times;</button>`;
+
+    let hide = null;
+    const promise = new Promise((resolve) => {
+        let timer = null;
+        hide = (result = 'close') => {
+            clearTimeout(timer);
+            if (toast.isConnected) {
+                toast.remove();
+                resolve(result);
+            }
+        };
+        const actionButton = toast.querySelector('.event-actions-toast-action');
+        if (actionButton) {
+            actionButton.addEventListener('click', () => hide('action'), { once: true });
+        }
+        toast.querySelector('.event-actions-toast-close').addEventListener('click', () => hide('close'), { once: true });
+        if (options.duration > 0) {
+            timer = setTimeout(() => hide('timeout'), options.duration);
+        }
+    });
+
+    getToastContainer(options.position, `event-actions-toasts event-actions-toasts-${options.position}`).appendChild(toast);
+    promise.toast = toast;
+    promise.hide = () => hide('close');
+    return promise;
+}
+
+function bsCreateToast(message, options = {}) {
+    if (typeof bootstrap === 'undefined' || !bootstrap.Toast) {
+        console.warn('bsCreateToast: Bootstrap 5 is required for this function to work.');
+        return null;
+    }
+
+    options = Object.assign({}, DEFAULT_TOAST_OPTIONS, options || {});
+
+    // The position classes of the container (the utilities of Bootstrap)
+    const [ vertical, horizontal ] = options.position.split('-');
+    const positionClasses = {
+        start: 'start-0',
+        center: 'start-50 translate-middle-x',
+        end: 'end-0',
+    };
+    const urgent = [ 'warning', 'danger' ].includes(options.variant);
+
+    let toastContainer = document.createElement('div');
+    toastContainer.innerHTML = `
+<div class="toast align-items-center text-bg-${options.variant} border-0" role="${urgent ? 'alert' : 'status'}" aria-live="${urgent ? 'assertive' : 'polite'}" aria-atomic="true">
+  <div class="d-flex">
+    <div class="toast-body">${message}</div>
+    ${options.actionText===null ? '' : `<button type="button" class="btn btn-sm ${options.variant === 'warning' ? 'btn-dark' : 'btn-light'} my-auto">${options.actionText}</button>`}
+    <button type="button" class="btn-close ${options.variant === 'warning' ? '' : 'btn-close-white'} me-2 m-auto" data-bs-dismiss="toast" aria-label="${escapeHTML(options.closeText)}"></button>
+  </div>
+</div>`;
+    const toastElement = toastContainer.querySelector('.toast');
+    const actionButton = toastElement.querySelector('.btn-sm');
+
+    getToastContainer(options.position, `toast-container position-fixed p-3 ${vertical}-0 ${positionClasses[horizontal]}`).appendChild(toastElement);
+    const toast = new bootstrap.Toast(toastElement, { autohide: options.duration > 0, delay: options.duration });
+
+    let result = 'timeout';
+    const promise = new Promise((resolve) => {
+        toastElement.querySelector('.btn-close').addEventListener('click', () => {
+            result = 'close';
+        }, { once: true });
+        if (actionButton) {
+            actionButton.addEventListener('click', () => {
+                result = 'action';
+                toast.hide();
+            }, { once: true });
+        }
+
+        // When the toast is hidden, remove it from the DOM
+        toastElement.addEventListener('hidden.bs.toast', () => {
+            toast.dispose();
+            toastElement.remove();
+            resolve(result);
+        }, { once: true });
+    });
+
+    toast.show();
+    promise.toast = toast;
+    promise.hide = () => toast.hide();
+    return promise;
+}
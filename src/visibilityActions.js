@@ -0,0 +1,120 @@
+// These are the default options for the visibility of an element (data-va-* and data-vla-*)
+const DEFAULT_OPTIONS_VISIBILITY = {
+    threshold: 0, // The ratio of the element (from 0 to 1) that must be in the viewport to consider that it is visible (0 means any pixel)
+    rootMargin: '0px', // The margin added to the viewport, as in CSS (e.g. '200px' to consider that the element is visible when it is 200px away from the viewport)
+}
+
+// The prefixes of the attributes for the actions run when the element enters the viewport, and when it leaves it
+const VISIBILITY_PREFIX = 'va';
+const VISIBILITY_LEAVE_PREFIX = 'vla';
+
+// The events dispatched to the elements when they enter or leave the viewport
+const VISIBILITY_ENTER_EVENT = 'eventactions:enter';
+const VISIBILITY_LEAVE_EVENT = 'eventactions:leave';
+
+// The observers for the elements, indexed by their options (so that the elements with the same options share one)
+const VISIBILITY_OBSERVERS = new Map();
+
+/**
+ * Gets the options of the visibility of the element. They can be set using any of the prefixes (e.g. data-va-threshold
+ *  or data-vla-threshold), but the options of the enter actions prevail.
+ * @param {HTMLElement} el The element.
+ * @returns {Object} The options (see DEFAULT_OPTIONS_VISIBILITY).
+ */
+function getVisibilityOptions(el) {
+    return Object.assign(
+        getElementOptions(el, DEFAULT_OPTIONS_VISIBILITY, VISIBILITY_LEAVE_PREFIX),
+        getElementOptions(el, DEFAULT_OPTIONS_VISIBILITY, VISIBILITY_PREFIX, true)
+    );
+}
+
+/**
+ * Handles the changes of the intersection of the observed elements with the viewport: the elements that become visible
+ *  get the enter event (and so run their data-va-* actions) and the elements that stop being visible get the leave
+ *  event (and so run their data-vla-* actions). The elements whose actions do not attend the events anymore (because
+ *  they were run once) stop being observed.
+ * @param {IntersectionObserverEntry[]} entries The changes of the intersection.
+ */
+function handleVisibilityEntries(entries) {
+    for (const entry of entries) {
+        const el = entry.target;
+        const state = el._eventActionsVisibility;
+        if (!state) {
+            continue;
+        }
+
+        const eventTypes = { [VISIBILITY_PREFIX]: VISIBILITY_ENTER_EVENT, [VISIBILITY_LEAVE_PREFIX]: VISIBILITY_LEAVE_EVENT };
+        if ([ ...state.prefixes ].every(prefix => !isAttendingEventActions(el, eventTypes[prefix], prefix))) {
+            for (const prefix of [ ...state.prefixes ]) {
+                unobserveVisibility(el, prefix);
+            }
+            continue;
+        }
+
+        // The observer also notifies the changes between ratios under the threshold (e.g. when the element is observed)
+        const visible = entry.isIntersecting && entry.intersectionRatio >= state.threshold;
+        if (visible === state.visible) {
+            continue;
+        }
+        state.visible = visible;
+        if (EventActions.settings.visibility) {
+            el.dispatchEvent(new CustomEvent(visible ? VISIBILITY_ENTER_EVENT : VISIBILITY_LEAVE_EVENT, { detail: { entry: entry } }));
+        }
+    }
+}
+
+/**
+ * Starts observing the visibility of the element, for the actions with the given prefix (it is the bind function of the
+ *  visibility triggers). The element is observed once, even if it has both enter and leave actions.
+ * @param {HTMLElement} el The element.
+ * @param {string} prefix The prefix of the actions (i.e. 'va' or 'vla').
+ */
+function observeVisibility(el, prefix) {
+    if (el._eventActionsVisibility) {
+        el._eventActionsVisibility.prefixes.add(prefix);
+        return;
+    }
+    if (typeof IntersectionObserver === 'undefined') {
+        console.warn('The visibility actions are not available, because the browser does not support IntersectionObserver');
+        return;
+    }
+
+    const options = getVisibilityOptions(el);
+    const threshold = Math.min(Math.max(parseFloat(options.threshold) || 0, 0), 1);
+    const rootMargin = sanitizeValue(options.rootMargin) || '0px';
+    const key = `${threshold}|${rootMargin}`;
+    let observer = VISIBILITY_OBSERVERS.get(key);
+    if (!observer) {
+        try {
+            observer = new IntersectionObserver(handleVisibilityEntries, { threshold: threshold, rootMargin: rootMargin });
+        } catch (error) {
+            console.warn(`Invalid options for the visibility of the element (threshold "${threshold}" and root margin "${rootMargin}"):`, error);
+            return;
+        }
+        VISIBILITY_OBSERVERS.set(key, observer);
+    }
+
+    el._eventActionsVisibility = { observer: observer, threshold: threshold, visible: false, prefixes: new Set([ prefix ]) };
+    observer.observe(el);
+}
+
+/**
+ * Stops observing the visibility of the element for the actions with the given prefix (it is the unbind function of the
+ *  visibility triggers). The element keeps being observed while it has actions for the other prefix.
+ * @param {HTMLElement} el The element.
+ * @param {string} prefix The prefix of the actions (i.e. 'va' or 'vla').
+ */
+function unobserveVisibility(el, prefix) {
+    const state = el._eventActionsVisibility;
+    if (!state) {
+        return;
+    }
+    state.prefixes.delete(prefix);
+    if (state.prefixes.size === 0) {
+        state.observer.unobserve(el);
+        delete el._eventActionsVisibility;
+    }
+}
+
+registerTrigger(VISIBILITY_ENTER_EVENT, VISIBILITY_PREFIX, { preventDefault: false, stopPropagation: false, bind: observeVisibility, unbind: unobserveVisibility }); // visibility-action
+registerTrigger(VISIBILITY_LEAVE_EVENT, VISIBILITY_LEAVE_PREFIX, { preventDefault: false, stopPropagation: false, bind: observeVisibility, unbind: unobserveVisibility }); // visibility-leave-action